@@ -1,42 +1,999 @@
 // Optimized background script with minimal overhead
-const DEFAULT_SETTINGS = {
-  isEnabled: true,
-  blurIntensity: 10,
-  whitelist: [],
-};
+importScripts(
+  "site-rules.js",
+  "blur-profiles.js",
+  "media-rules.js",
+  "settings-schema.js",
+  "schedules.js",
+  "blur-css.js",
+  "i18n.js",
+  "classifiers.js"
+);
+
+const DEFAULT_SETTINGS = BlurShieldSettings.DEFAULT_SETTINGS;
+const t = BlurShieldI18n.getMessage;
 
 // Cache settings in memory for faster access
 let cachedSettings = null;
 
-// Store per-tab blur state (temporary overrides)
-let tabBlurState = new Map(); // tabId -> boolean (true = force blur, false = force unblur, undefined = use global settings)
+async function getSettings() {
+  if (cachedSettings) return cachedSettings;
+  const stored = BlurShieldSettings.fromSyncItems(
+    await chrome.storage.sync.get(null)
+  );
+  cachedSettings = { ...DEFAULT_SETTINGS, ...stored };
+  return cachedSettings;
+}
+
+// Write settings to storage.sync in chunks and drop chunks a shorter list
+// no longer uses. Rejects when sync refuses the write, e.g. over quota.
+async function writeSettings(settings) {
+  const items = BlurShieldSettings.toSyncItems(settings);
+  const stale = Object.keys(await chrome.storage.sync.get(null)).filter(
+    (key) => BlurShieldSettings.isChunkKey(key) && !(key in items)
+  );
+
+  await chrome.storage.sync.set(items);
+  if (stale.length > 0) await chrome.storage.sync.remove(stale);
+}
+
+// Store settings and push them to every tab. The cache only changes once
+// the write succeeded.
+async function saveSettings(settings) {
+  await writeSettings(settings);
+  cachedSettings = settings;
+  await Promise.all([broadcastSettings(settings), updateScheduleAlarm()]);
+}
+
+async function broadcastSettings(settings) {
+  // Efficient tab messaging with error handling
+  const [tabs, overrides] = await Promise.all([
+    chrome.tabs.query({}),
+    getOverrides(),
+  ]);
+  const updatePromises = tabs.map(
+    (tab) =>
+      chrome.tabs
+        .sendMessage(tab.id, {
+          type: "settingsChanged",
+          settings,
+          tabForceState: resolveTabForceState(overrides, tab),
+        })
+        .catch(() => {}) // Ignore errors for inactive tabs
+  );
+  await Promise.allSettled([...updatePromises, refreshInjectedCSS()]);
+}
+
+// Schedules are applied by the content scripts from the stored settings;
+// an alarm at each schedule boundary has them re-apply at the right time
+const SCHEDULE_ALARM = "schedule-boundary";
+
+async function updateScheduleAlarm() {
+  const settings = await getSettings();
+  const next = BlurShieldSchedules.getNextBoundary(settings);
+  if (next) {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  } else {
+    chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+// A trusted site is not blurred by the active list mode
+function isSiteTrusted(settings, url) {
+  return settings.mode === "blocklist"
+    ? !BlurShieldSiteRules.matchesAny(settings.blocklist, url)
+    : BlurShieldSiteRules.matchesAny(settings.whitelist, url);
+}
+
+// Trust or distrust the site of a URL by adding an exact host rule to the
+// active list, or dropping the rules that match it. Leaving out trusted
+// toggles the site.
+function setSiteTrusted(url, trusted) {
+  return queueSettingsUpdate(async (settings) => {
+    const wasTrusted = isSiteTrusted(settings, url);
+    trusted = trusted ?? !wasTrusted;
+    if (wasTrusted === trusted) return trusted;
+    if (await isLocked()) return !trusted;
+
+    const listKey = settings.mode === "blocklist" ? "blocklist" : "whitelist";
+    const listed = settings.mode === "blocklist" ? !trusted : trusted;
+
+    if (listed) {
+      const rule = BlurShieldSiteRules.createRuleForUrl("exact", url);
+      if (!rule) return !trusted;
+      settings[listKey] = [...settings[listKey], rule];
+    } else {
+      settings[listKey] = settings[listKey].filter(
+        (rule) => !BlurShieldSiteRules.ruleMatches(rule, url)
+      );
+    }
+
+    await saveSettings(settings);
+    return trusted;
+  });
+}
+
+function trustSite(url) {
+  return setSiteTrusted(url, true);
+}
+
+function toggleSiteTrust(url) {
+  return setSiteTrusted(url);
+}
+
+const BLUR_INTENSITY_MIN = 1;
+const BLUR_INTENSITY_MAX = 50;
+const BLUR_INTENSITY_STEP = 2;
+
+// Raise or lower the blur for a page; a site profile with its own
+// intensity takes the change instead of the global setting
+function adjustBlurIntensity(url, delta) {
+  return queueSettingsUpdate(async (settings) => {
+    if (delta < 0 && (await isLocked())) return null;
+
+    const clamp = (value) =>
+      Math.min(BLUR_INTENSITY_MAX, Math.max(BLUR_INTENSITY_MIN, value));
+
+    const rule = BlurShieldProfiles.findProfileRule(settings.siteProfiles, url);
+    const profile = rule ? settings.siteProfiles[rule] : null;
+    let intensity;
+
+    if (profile?.blurIntensity) {
+      intensity = clamp(profile.blurIntensity + delta);
+      settings.siteProfiles = {
+        ...settings.siteProfiles,
+        [rule]: { ...profile, blurIntensity: intensity },
+      };
+    } else {
+      intensity = clamp(settings.blurIntensity + delta);
+      settings.blurIntensity = intensity;
+    }
+
+    await saveSettings(settings);
+    return intensity;
+  });
+}
+
+// Serialize read-modify-write cycles on stored state
+let storageQueue = Promise.resolve();
+
+function queueStorageUpdate(task) {
+  const result = storageQueue.then(task);
+  storageQueue = result.catch(() => {});
+  return result;
+}
+
+// Settings changes go through the queue too, reading the settings inside
+// the queued task: changes sent close together each start from the one
+// saved before, and their chunk writes never interleave
+function queueSettingsUpdate(task) {
+  return queueStorageUpdate(async () => task({ ...(await getSettings()) }));
+}
+
+// Temporary overrides live in session storage so they survive service-worker
+// shutdown but are dropped on browser restart:
+//   tabs:  tabId -> boolean (true = force blur, false = force unblur)
+//   sites: hostname -> { expiresAt } (blur disabled, expiresAt null = until restart)
+const OVERRIDES_KEY = "blurOverrides";
+const SITE_OVERRIDE_ALARM_PREFIX = "site-override:";
+
+async function getOverrides() {
+  const { [OVERRIDES_KEY]: overrides } = await chrome.storage.session.get(
+    OVERRIDES_KEY
+  );
+  return { tabs: {}, sites: {}, ...overrides };
+}
+
+function updateOverrides(mutate) {
+  return queueStorageUpdate(async () => {
+    const overrides = await getOverrides();
+    mutate(overrides);
+    await chrome.storage.session.set({ [OVERRIDES_KEY]: overrides });
+    return overrides;
+  });
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+function getActiveSiteOverride(overrides, url) {
+  const site = overrides.sites[getHostname(url)];
+  if (!site) return null;
+  if (site.expiresAt && site.expiresAt <= Date.now()) return null;
+  return site;
+}
+
+// Effective forced state for a tab: tab override first, then site override.
+// undefined = use global settings, false = force disable, true = force enable
+function resolveTabForceState(overrides, tab) {
+  if (!tab) return undefined;
+  if (tab.id in overrides.tabs) return overrides.tabs[tab.id];
+  return getActiveSiteOverride(overrides, tab.url) ? false : undefined;
+}
+
+async function getTabForceState(tab) {
+  return resolveTabForceState(await getOverrides(), tab);
+}
+
+// Push the effective forced state to every tab matching the filter
+async function broadcastTabForceState(filter = () => true) {
+  const [overrides, tabs] = await Promise.all([
+    getOverrides(),
+    chrome.tabs.query({}),
+  ]);
+
+  await Promise.allSettled([
+    ...tabs.filter(filter).map((tab) =>
+      chrome.tabs.sendMessage(tab.id, {
+        type: "toggleBlur",
+        forceState: resolveTabForceState(overrides, tab),
+      })
+    ),
+    refreshInjectedCSS(filter),
+  ]);
+}
+
+// The blur stylesheet for the user's settings is injected into each frame
+// as its document commits, and again at the content script's request in
+// case that was missed, and swapped whenever settings or overrides change.
+// A content script that runs before it lands covers the page with its own
+// default-profile copy until then. removeCSS needs the exact text inserted,
+// so it is kept per frame in session storage with the frame's document.
+const INJECTED_CSS_PREFIX = "injectedCSS:"; // + "tabId:frameId" -> { documentId, url, css }
+const frameCSSUpdates = new Map(); // storage key -> pending update
+
+// Marks a document whose stylesheet came from the background, so a content
+// script starting after it landed does not add its own
+const INJECTED_MARKER_CSS = `:root { ${BlurShieldCSS.INJECTED_PROPERTY}: 1; }`;
+
+// Stylesheet for a frame, only the blocked media placeholder when its media
+// is not blurred
+function getFrameCSS(settings, url, tabForceState) {
+  const effective = BlurShieldSchedules.applySchedules(settings);
+  if (!BlurShieldSchedules.isBlurActive(effective, url, tabForceState)) {
+    return BlurShieldCSS.BLOCKED_CSS + INJECTED_MARKER_CSS;
+  }
+  return (
+    BlurShieldCSS.generateBlurCSS(
+      BlurShieldProfiles.resolveProfile(effective, url)
+    ) + INJECTED_MARKER_CSS
+  );
+}
+
+// Replace the stylesheet of one frame's document. A new document has none
+// yet, whatever was stored for the frame's previous one. Resolves to false
+// when the document cannot be reached, which also forgets the frame.
+function updateFrameCSS({ tabId, frameId, documentId, url }, css) {
+  const key = `${INJECTED_CSS_PREFIX}${tabId}:${frameId}`;
+  const target = documentId
+    ? { tabId, documentIds: [documentId] }
+    : { tabId, frameIds: [frameId] };
+
+  const update = (frameCSSUpdates.get(key) || Promise.resolve())
+    .then(async () => {
+      const { [key]: stored } = await chrome.storage.session.get(key);
+      const current =
+        stored && stored.documentId === documentId ? stored.css : "";
+
+      if (current !== css) {
+        if (current) {
+          await chrome.scripting.removeCSS({
+            target,
+            css: current,
+            origin: "USER",
+          });
+        }
+        if (css) {
+          await chrome.scripting.insertCSS({ target, css, origin: "USER" });
+        }
+      }
+      await chrome.storage.session.set({ [key]: { documentId, url, css } });
+      return true;
+    })
+    .catch(async () => {
+      // Closed frames and frames the extension cannot access
+      await chrome.storage.session.remove(key);
+      return false;
+    })
+    .finally(() => {
+      if (frameCSSUpdates.get(key) === update) frameCSSUpdates.delete(key);
+    });
+
+  frameCSSUpdates.set(key, update);
+  return update;
+}
+
+// Stylesheet for a new document, injected as it commits and requested
+// again by its content script; the second call finds it in place
+async function injectFrameCSS(frame, tab) {
+  const [settings, overrides] = await Promise.all([
+    getSettings(),
+    getOverrides(),
+  ]);
+  return updateFrameCSS(
+    frame,
+    getFrameCSS(settings, frame.url, resolveTabForceState(overrides, tab))
+  );
+}
+
+// Same-document navigations keep the document, so its stylesheet is redone
+// for the new URL and its content script told to read settings again
+chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
+  if (details.tabId < 0) return;
+
+  const tab = await chrome.tabs.get(details.tabId).catch(() => null);
+  if (!tab) return;
+  injectFrameCSS(details, tab);
+  chrome.tabs
+    .sendMessage(
+      details.tabId,
+      { type: "locationChanged" },
+      { frameId: details.frameId }
+    )
+    .catch(() => {}); // No content script in this frame
+});
+
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  if (details.tabId < 0) return;
+
+  // The tab still reports the previous URL while its top frame commits
+  const tab =
+    details.frameId === 0
+      ? { id: details.tabId, url: details.url }
+      : await chrome.tabs.get(details.tabId).catch(() => null);
+  if (tab) injectFrameCSS(details, tab);
+});
+
+// Bring the stylesheet of every known frame in matching tabs up to date
+async function refreshInjectedCSS(filter = () => true) {
+  const [settings, overrides, tabs, stored] = await Promise.all([
+    getSettings(),
+    getOverrides(),
+    chrome.tabs.query({}),
+    chrome.storage.session.get(null),
+  ]);
+  const matching = new Map(tabs.filter(filter).map((tab) => [tab.id, tab]));
+
+  await Promise.allSettled(
+    Object.entries(stored)
+      .filter(([key]) => key.startsWith(INJECTED_CSS_PREFIX))
+      .map(([key, { documentId, url }]) => {
+        const [tabId, frameId] = key
+          .slice(INJECTED_CSS_PREFIX.length)
+          .split(":")
+          .map(Number);
+        const tab = matching.get(tabId);
+        if (!tab) return null;
+
+        return updateFrameCSS(
+          { tabId, frameId, documentId, url },
+          getFrameCSS(settings, url, resolveTabForceState(overrides, tab))
+        );
+      })
+  );
+}
+
+async function forgetInjectedCSS(tabId) {
+  const stored = await chrome.storage.session.get(null);
+  const keys = Object.keys(stored).filter((key) =>
+    key.startsWith(`${INJECTED_CSS_PREFIX}${tabId}:`)
+  );
+  if (keys.length > 0) await chrome.storage.session.remove(keys);
+}
+
+// Disable blur temporarily. scope: "minutes" (site, timed), "session"
+// (site, until browser restart) or "tab" (this tab until it closes)
+async function setTemporaryOverride({ scope, minutes, tabId, url }) {
+  if (scope === "tab") {
+    await updateOverrides((overrides) => {
+      overrides.tabs[tabId] = false;
+    });
+    await broadcastTabForceState((tab) => tab.id === tabId);
+    return;
+  }
+
+  const hostname = getHostname(url);
+  if (!hostname) return;
+
+  const expiresAt =
+    scope === "minutes" ? Date.now() + Math.max(1, minutes) * 60000 : null;
+
+  await updateOverrides((overrides) => {
+    overrides.sites[hostname] = { expiresAt };
+  });
+
+  const alarmName = SITE_OVERRIDE_ALARM_PREFIX + hostname;
+  if (expiresAt) {
+    chrome.alarms.create(alarmName, { when: expiresAt });
+  } else {
+    await chrome.alarms.clear(alarmName);
+  }
+
+  await broadcastTabForceState((tab) => getHostname(tab.url) === hostname);
+}
+
+// Remove the tab and site overrides that apply to a tab
+async function clearTemporaryOverride({ tabId, url }) {
+  const hostname = getHostname(url);
+
+  await updateOverrides((overrides) => {
+    delete overrides.tabs[tabId];
+    delete overrides.sites[hostname];
+  });
+  await chrome.alarms.clear(SITE_OVERRIDE_ALARM_PREFIX + hostname);
+
+  await broadcastTabForceState(
+    (tab) => tab.id === tabId || getHostname(tab.url) === hostname
+  );
+}
+
+// Optional PIN lock. Only a salted PBKDF2 hash of the PIN is kept, in local
+// storage. Entering the PIN unlocks changes that weaken protection for a few
+// minutes; wrong attempts are rate-limited with a growing delay.
+const PIN_LOCK_KEY = "pinLock"; // local: { hash, salt, iterations }
+const PIN_ATTEMPTS_KEY = "pinAttempts"; // local: { failures, blockedUntil }
+const PIN_UNLOCKED_KEY = "pinUnlockedUntil"; // session: timestamp
+const PIN_ITERATIONS = 100000;
+const PIN_UNLOCK_DURATION = 5 * 60 * 1000; // 5 minutes
+const PIN_FREE_ATTEMPTS = 3; // wrong attempts before delays start
+const PIN_BASE_DELAY = 30 * 1000; // doubles with every further failure
+const PIN_MAX_DELAY = 15 * 60 * 1000;
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map((byte) => parseInt(byte, 16)));
+}
+
+async function hashPin(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(pin),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromHex(salt), iterations },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+async function getPinLock() {
+  const result = await chrome.storage.local.get(PIN_LOCK_KEY);
+  return result[PIN_LOCK_KEY] || null;
+}
+
+// Settings are locked while a PIN is set and no unlock is active
+async function isLocked() {
+  if (!(await getPinLock())) return false;
+  const result = await chrome.storage.session.get(PIN_UNLOCKED_KEY);
+  return !(result[PIN_UNLOCKED_KEY] > Date.now());
+}
+
+async function getLockState() {
+  const [lock, session, attempts] = await Promise.all([
+    getPinLock(),
+    chrome.storage.session.get(PIN_UNLOCKED_KEY),
+    chrome.storage.local.get(PIN_ATTEMPTS_KEY),
+  ]);
+  const unlockedUntil = session[PIN_UNLOCKED_KEY] || 0;
+  const blockedUntil = attempts[PIN_ATTEMPTS_KEY]?.blockedUntil || 0;
+
+  return {
+    enabled: lock !== null,
+    unlocked: lock === null || unlockedUntil > Date.now(),
+    unlockedUntil,
+    retryAfter: Math.max(0, blockedUntil - Date.now()),
+  };
+}
+
+// Check a PIN against the stored hash, counting failures. Resolves to
+// { success, retryAfter } where retryAfter is the wait in ms when blocked.
+function verifyPin(pin) {
+  return queueStorageUpdate(async () => {
+    const lock = await getPinLock();
+    if (!lock) return { success: true, retryAfter: 0 };
+
+    const stored = await chrome.storage.local.get(PIN_ATTEMPTS_KEY);
+    const attempts = stored[PIN_ATTEMPTS_KEY] || {
+      failures: 0,
+      blockedUntil: 0,
+    };
+    if (attempts.blockedUntil > Date.now()) {
+      return { success: false, retryAfter: attempts.blockedUntil - Date.now() };
+    }
+
+    const hash = await hashPin(String(pin || ""), lock.salt, lock.iterations);
+    if (hash === lock.hash) {
+      await chrome.storage.local.remove(PIN_ATTEMPTS_KEY);
+      return { success: true, retryAfter: 0 };
+    }
+
+    attempts.failures++;
+    const extra = attempts.failures - PIN_FREE_ATTEMPTS;
+    attempts.blockedUntil =
+      extra > 0
+        ? Date.now() +
+          Math.min(PIN_MAX_DELAY, PIN_BASE_DELAY * 2 ** (extra - 1))
+        : 0;
+    await chrome.storage.local.set({ [PIN_ATTEMPTS_KEY]: attempts });
+    return {
+      success: false,
+      retryAfter: Math.max(0, attempts.blockedUntil - Date.now()),
+    };
+  });
+}
+
+async function unlockSettings(pin) {
+  const result = await verifyPin(pin);
+  if (result.success) {
+    await chrome.storage.session.set({
+      [PIN_UNLOCKED_KEY]: Date.now() + PIN_UNLOCK_DURATION,
+    });
+  }
+  return result;
+}
+
+function lockSettings() {
+  return chrome.storage.session.remove(PIN_UNLOCKED_KEY);
+}
+
+// Set or change the PIN; changing it needs the current one
+async function setPin(pin, currentPin) {
+  if (typeof pin !== "string" || pin.length < 4) {
+    return { success: false, error: t("pinTooShort") };
+  }
+  if (await getPinLock()) {
+    const result = await verifyPin(currentPin);
+    if (!result.success) return result;
+  }
+
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await hashPin(pin, salt, PIN_ITERATIONS);
+  await chrome.storage.local.set({
+    [PIN_LOCK_KEY]: { hash, salt, iterations: PIN_ITERATIONS },
+  });
+  await lockSettings();
+  return { success: true };
+}
+
+async function removePin(currentPin) {
+  const result = await verifyPin(currentPin);
+  if (!result.success) return result;
+
+  await chrome.storage.local.remove([PIN_LOCK_KEY, PIN_ATTEMPTS_KEY]);
+  await lockSettings();
+  return { success: true };
+}
+
+// Changes a locked extension still accepts, per setting: each one only
+// ever adds protection
+const STRENGTHENING_CHANGES = {
+  isEnabled: (current, next) => next === true,
+  blurIntensity: (current, next) => next > current,
+  blocklist: (current = [], next = []) =>
+    current.every((rule) => next.includes(rule)),
+  minMediaSize: (current, next) => next < current,
+  classifierThreshold: (current, next) => next < current,
+  revealSeconds: (current, next) => next < current,
+  autoReblurSeconds: (current, next) =>
+    next > 0 && (!(current > 0) || next < current),
+  reblurOffscreen: (current, next) => next === true,
+  videoMute: (current, next) => next === true,
+  videoAutoPause: (current, next) => next === true,
+};
+
+// While the lock is on, any change to a setting needs the PIN unless it
+// only strengthens protection, so settings added later are locked too. Only
+// the keys being written are compared.
+function weakensProtection(current, next) {
+  return Object.keys(next).some((key) => {
+    if (JSON.stringify(current[key]) === JSON.stringify(next[key])) {
+      return false;
+    }
+    const strengthens = STRENGTHENING_CHANGES[key];
+    return !strengthens?.(current[key], next[key]);
+  });
+}
+
+// Run a change that needs the PIN, resolving to a locked response instead
+// while settings are locked
+async function whenUnlocked(task) {
+  if (await isLocked()) return { success: false, locked: true };
+  return task();
+}
+
+// Settings, overrides and the PIN are only changed from the extension's own
+// pages, never from content scripts
+function isExtensionPage(sender) {
+  return sender.url?.startsWith(chrome.runtime.getURL("")) === true;
+}
+
+// Media the user revealed, remembered across pages and sessions in local
+// storage: normalized media URL -> last reveal time
+const REVEALED_MEDIA_KEY = "revealedMedia";
+const REVEALED_MEDIA_LIMIT = 1000;
+
+async function getRevealedMedia() {
+  const { [REVEALED_MEDIA_KEY]: media } = await chrome.storage.local.get(
+    REVEALED_MEDIA_KEY
+  );
+  return media || {};
+}
+
+// Drop expired entries and keep only the most recently revealed ones
+function pruneRevealedMedia(media) {
+  const cutoff = Date.now() - BlurShieldMediaRules.REVEALED_MEDIA_MAX_AGE;
+  const entries = Object.entries(media)
+    .filter(([, revealedAt]) => revealedAt > cutoff)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, REVEALED_MEDIA_LIMIT);
+  return Object.fromEntries(entries);
+}
+
+function updateRevealedMedia(mutate) {
+  return queueStorageUpdate(async () => {
+    const media = await getRevealedMedia();
+    mutate(media);
+    const pruned = pruneRevealedMedia(media);
+    await chrome.storage.local.set({ [REVEALED_MEDIA_KEY]: pruned });
+    return pruned;
+  });
+}
+
+// Media the user never wants to see, kept in local storage as a list of
+// blocked-media rules (see media-rules.js)
+const BLOCKED_MEDIA_KEY = "blockedMedia";
+
+async function getBlockedMedia() {
+  const { [BLOCKED_MEDIA_KEY]: rules } = await chrome.storage.local.get(
+    BLOCKED_MEDIA_KEY
+  );
+  return rules || [];
+}
+
+function updateBlockedMedia(mutate) {
+  return queueStorageUpdate(async () => {
+    const rules = mutate(await getBlockedMedia());
+    await chrome.storage.local.set({ [BLOCKED_MEDIA_KEY]: rules });
+    return rules;
+  });
+}
+
+// Usage statistics, counted by the content script and kept only in local
+// storage: day ("YYYY-MM-DD") -> hostname -> { blurred, revealed }
+const USAGE_STATS_KEY = "usageStats";
+const USAGE_STATS_DAYS = 30;
+
+// Local calendar day, so a day matches what the user sees on the clock
+function getDayKey(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+async function getUsageStats() {
+  const { [USAGE_STATS_KEY]: stats } = await chrome.storage.local.get(
+    USAGE_STATS_KEY
+  );
+  return stats || {};
+}
+
+function recordUsageStats({ site, blurred, revealed }) {
+  if (!site) return Promise.resolve();
+
+  return queueStorageUpdate(async () => {
+    const stats = await getUsageStats();
+    const day = getDayKey();
+    const counts = (stats[day] ||= {})[site] || { blurred: 0, revealed: 0 };
+    stats[day][site] = {
+      blurred: counts.blurred + Math.max(0, blurred || 0),
+      revealed: counts.revealed + Math.max(0, revealed || 0),
+    };
+
+    // Keep the most recent days only
+    const kept = Object.keys(stats).sort().slice(-USAGE_STATS_DAYS);
+    await chrome.storage.local.set({
+      [USAGE_STATS_KEY]: Object.fromEntries(
+        kept.map((key) => [key, stats[key]])
+      ),
+    });
+  });
+}
 
+// Classifier scores cached in local storage so the same image is never
+// classified twice: "classifierId url" -> { score, at }
+const CLASSIFICATION_CACHE_KEY = "classificationCache";
+const CLASSIFICATION_CACHE_LIMIT = 2000;
+const CLASSIFICATION_SAVE_DELAY = 2000; // ms, batches cache writes
+
+let classificationCache = null;
+let classificationCachePromise = null;
+let classificationSaveTimeout = null;
+const pendingClassifications = new Map(); // cache key -> Promise<score|null>
+
+// Loaded once per service-worker start; callers during the load share the
+// same promise and so the same object
+function getClassificationCache() {
+  classificationCachePromise ??= chrome.storage.local
+    .get(CLASSIFICATION_CACHE_KEY)
+    .then(({ [CLASSIFICATION_CACHE_KEY]: cache }) => {
+      classificationCache = cache || {};
+      return classificationCache;
+    });
+  return classificationCachePromise;
+}
+
+// Trims the cache in place: classifications still running hold on to it
+// and add their scores when they finish
+function scheduleClassificationSave() {
+  clearTimeout(classificationSaveTimeout);
+  classificationSaveTimeout = setTimeout(() => {
+    Object.entries(classificationCache)
+      .sort((a, b) => b[1].at - a[1].at)
+      .slice(CLASSIFICATION_CACHE_LIMIT)
+      .forEach(([key]) => delete classificationCache[key]);
+    chrome.storage.local.set({
+      [CLASSIFICATION_CACHE_KEY]: classificationCache,
+    });
+  }, CLASSIFICATION_SAVE_DELAY);
+}
+
+// Decode the media locally and score it. Resolves to null when the media
+// cannot be classified, which keeps it blurred.
+async function runClassifier(classifier, url) {
+  try {
+    // The HTTP cache is partitioned by top-level site, so this usually
+    // downloads the image again rather than reusing the page's copy
+    const response = await fetch(url, {
+      cache: "force-cache",
+      credentials: "omit",
+    });
+    if (!response.ok) return null;
+
+    const bitmap = await createImageBitmap(await response.blob());
+    try {
+      const score = await classifier.classify(bitmap);
+      return Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : null;
+    } finally {
+      bitmap.close();
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+async function classifyMedia(url) {
+  const settings = await getSettings();
+  const classifier = BlurShieldClassifiers.get(settings.classifier);
+  if (!classifier || !url) return null;
+
+  const key = `${classifier.id} ${url}`;
+  const cache = await getClassificationCache();
+  if (cache[key]) return cache[key].score;
+
+  if (!pendingClassifications.has(key)) {
+    const pending = runClassifier(classifier, url).then((score) => {
+      pendingClassifications.delete(key);
+      if (score !== null) {
+        cache[key] = { score, at: Date.now() };
+        scheduleClassificationSave();
+      }
+      return score;
+    });
+    pendingClassifications.set(key, pending);
+  }
+
+  return pendingClassifications.get(key);
+}
+
+// Average colors for the dominant-color style, kept in memory only since
+// they are cheap to compute again
+const DOMINANT_COLOR_LIMIT = 500;
+const DOMINANT_COLOR_SAMPLE = 16; // px side the media is scaled down to
+const dominantColors = new Map(); // url -> promise of a CSS color or null
+
+async function computeDominantColor(url) {
+  try {
+    const response = await fetch(url, {
+      cache: "force-cache",
+      credentials: "omit",
+    });
+    if (!response.ok) return null;
+
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(
+      DOMINANT_COLOR_SAMPLE,
+      DOMINANT_COLOR_SAMPLE
+    );
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    // Average weighted by alpha, so transparent areas do not turn it black
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+    let red = 0;
+    let green = 0;
+    let blue = 0;
+    let weight = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      const alpha = data[i + 3];
+      red += data[i] * alpha;
+      green += data[i + 1] * alpha;
+      blue += data[i + 2] * alpha;
+      weight += alpha;
+    }
+    if (weight === 0) return null;
+
+    return `rgb(${Math.round(red / weight)}, ${Math.round(
+      green / weight
+    )}, ${Math.round(blue / weight)})`;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getDominantColor(url) {
+  if (!url) return Promise.resolve(null);
+
+  if (!dominantColors.has(url)) {
+    // Drop the oldest entry once full; Map keeps insertion order
+    if (dominantColors.size >= DOMINANT_COLOR_LIMIT) {
+      dominantColors.delete(dominantColors.keys().next().value);
+    }
+    dominantColors.set(url, computeDominantColor(url));
+  }
+  return dominantColors.get(url);
+}
+
+// Right-click actions on images and videos, mirroring the in-page overlay.
+// Titles are message names from _locales.
+const CONTEXT_MENU_ITEMS = [
+  { id: "reveal", title: "menuReveal" },
+  { id: "reveal-timed", title: "menuRevealTimed" },
+  { id: "always-reveal", title: "menuAlwaysReveal" },
+  { id: "block", title: "menuBlock" },
+  { id: "trust-site", title: "menuTrustSite" },
+  { id: "reblur", title: "menuReblur" },
+];
+const CONTEXT_MENU_PREFIX = "blur-shield-";
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_PREFIX + "root",
+      title: t("extensionName"),
+      contexts: ["image", "video"],
+    });
+    CONTEXT_MENU_ITEMS.forEach(({ id, title }) => {
+      chrome.contextMenus.create({
+        id: CONTEXT_MENU_PREFIX + id,
+        parentId: CONTEXT_MENU_PREFIX + "root",
+        title: t(title),
+        contexts: ["image", "video"],
+      });
+    });
+  });
+}
+
+// Upgrade stored settings on install and update instead of resetting them
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.set(DEFAULT_SETTINGS);
-  cachedSettings = DEFAULT_SETTINGS;
+  queueStorageUpdate(async () => {
+    const settings = BlurShieldSettings.migrate(
+      BlurShieldSettings.fromSyncItems(await chrome.storage.sync.get(null))
+    );
+    await writeSettings(settings);
+    cachedSettings = settings;
+  })
+    .catch((error) => console.error("Error migrating settings:", error))
+    .then(() => updateScheduleAlarm());
+  createContextMenus();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateScheduleAlarm();
+});
+
+// Let the content script in the clicked frame act on the media
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id || !info.menuItemId.startsWith(CONTEXT_MENU_PREFIX)) return;
+
+  chrome.tabs
+    .sendMessage(
+      tab.id,
+      {
+        type: "contextMenuAction",
+        action: info.menuItemId.slice(CONTEXT_MENU_PREFIX.length),
+        srcUrl: info.srcUrl,
+      },
+      { frameId: info.frameId }
+    )
+    .catch(() => {
+      // Pages the content script cannot run on can still trust the site
+      if (info.menuItemId === CONTEXT_MENU_PREFIX + "trust-site") {
+        trustSite(info.frameUrl || info.pageUrl);
+      }
+    });
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // A schedule started or ended, let every tab re-apply the settings
+  if (alarm.name === SCHEDULE_ALARM) {
+    await broadcastSettings(await getSettings());
+    await updateScheduleAlarm();
+    return;
+  }
+
+  // Expire timed site overrides
+  if (!alarm.name.startsWith(SITE_OVERRIDE_ALARM_PREFIX)) return;
+
+  const hostname = alarm.name.slice(SITE_OVERRIDE_ALARM_PREFIX.length);
+  await updateOverrides((overrides) => {
+    delete overrides.sites[hostname];
+  });
+  await broadcastTabForceState((tab) => getHostname(tab.url) === hostname);
 });
 
 // Handle keyboard shortcut
 chrome.commands.onCommand.addListener(async (command) => {
+  const [activeTab] = await chrome.tabs.query({
+    active: true,
+    currentWindow: true,
+  });
+  if (!activeTab) return;
+
+  // Feedback is shown by the top frame only
+  const notify = (text) =>
+    chrome.tabs
+      .sendMessage(
+        activeTab.id,
+        { type: "showNotification", text },
+        {
+          frameId: 0,
+        }
+      )
+      .catch(() => {});
+
+  // Locked commands point to the popup, where the PIN can be entered
+  const notifyLocked = () => {
+    notify(t("notifyLocked"));
+    chrome.action.openPopup?.().catch(() => {});
+  };
+
   if (command === "toggle-blur") {
     try {
-      // Get the active tab
-      const [activeTab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
-      if (!activeTab) return;
-
       // Toggle the blur state for this tab
-      const currentState = tabBlurState.get(activeTab.id);
+      const currentState = await getTabForceState(activeTab);
       const newState = currentState === false ? undefined : false; // Toggle between disabled and default
 
-      if (newState === undefined) {
-        tabBlurState.delete(activeTab.id);
-      } else {
-        tabBlurState.set(activeTab.id, newState);
+      if (newState === false && (await isLocked())) {
+        notifyLocked();
+        return;
       }
 
+      await updateOverrides((overrides) => {
+        if (newState === undefined) {
+          delete overrides.tabs[activeTab.id];
+          // Re-enabling also ends a site override for this tab's site
+          delete overrides.sites[getHostname(activeTab.url)];
+        } else {
+          overrides.tabs[activeTab.id] = newState;
+        }
+      });
+
       // Send message to content script
       chrome.tabs
         .sendMessage(activeTab.id, {
@@ -46,71 +1003,268 @@ chrome.commands.onCommand.addListener(async (command) => {
         .catch(() => {
           // Ignore errors for inactive tabs
         });
+      await refreshInjectedCSS((tab) => tab.id === activeTab.id);
     } catch (error) {
       console.error("Error handling toggle command:", error);
     }
+    return;
+  }
+
+  try {
+    switch (command) {
+      case "reblur-all":
+      case "reveal-under-pointer":
+        // Every frame gets the message, the one holding the media acts
+        chrome.tabs
+          .sendMessage(activeTab.id, {
+            type: command === "reblur-all" ? "reblurAll" : "revealHoveredMedia",
+          })
+          .catch(() => {
+            // Ignore tabs without the content script
+          });
+        break;
+
+      case "raise-intensity":
+      case "lower-intensity": {
+        const step =
+          command === "raise-intensity"
+            ? BLUR_INTENSITY_STEP
+            : -BLUR_INTENSITY_STEP;
+        const intensity = await adjustBlurIntensity(activeTab.url, step);
+        if (intensity === null) {
+          notifyLocked();
+          break;
+        }
+        notify(t("notifyIntensity", intensity));
+        break;
+      }
+
+      case "toggle-trust": {
+        if (await isLocked()) {
+          notifyLocked();
+          break;
+        }
+        const trusted = await toggleSiteTrust(activeTab.url);
+        notify(t(trusted ? "notifySiteTrusted" : "notifySiteUntrusted"));
+        break;
+      }
+    }
+  } catch (error) {
+    console.error("Error handling command:", error);
   }
 });
 
 // Clean up tab state when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
-  tabBlurState.delete(tabId);
+  updateOverrides((overrides) => {
+    delete overrides.tabs[tabId];
+  });
+  forgetInjectedCSS(tabId);
 });
 
 // Efficient message handling
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
+    case "injectBlurCSS":
+      if (!sender.tab || sender.frameId === undefined) {
+        sendResponse({ injected: false });
+        return false;
+      }
+      injectFrameCSS(
+        {
+          tabId: sender.tab.id,
+          frameId: sender.frameId,
+          documentId: sender.documentId,
+          url: sender.url,
+        },
+        sender.tab
+      ).then((injected) => sendResponse({ injected }));
+      return true;
+
     case "getSettings":
-      if (cachedSettings) {
-        const response = { ...cachedSettings };
-        // Include per-tab state if available
-        if (sender.tab && tabBlurState.has(sender.tab.id)) {
-          response.tabForceState = tabBlurState.get(sender.tab.id);
-        }
-        sendResponse(response);
-      } else {
-        chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS), (settings) => {
-          cachedSettings = { ...DEFAULT_SETTINGS, ...settings };
-          const response = { ...cachedSettings };
+      Promise.all([getSettings(), getTabForceState(sender.tab)]).then(
+        ([settings, tabForceState]) => {
           // Include per-tab state if available
-          if (sender.tab && tabBlurState.has(sender.tab.id)) {
-            response.tabForceState = tabBlurState.get(sender.tab.id);
-          }
-          sendResponse(response);
-        });
-      }
+          sendResponse({ ...settings, tabForceState });
+        }
+      );
       return true;
 
     case "updateSettings":
-      cachedSettings = message.settings;
-      chrome.storage.sync.set(message.settings, () => {
-        // Efficient tab messaging with error handling
-        chrome.tabs.query({}, (tabs) => {
-          const updatePromises = tabs.map(
-            (tab) =>
-              chrome.tabs
-                .sendMessage(tab.id, {
-                  type: "settingsChanged",
-                  settings: message.settings,
-                  tabForceState: tabBlurState.get(tab.id),
-                })
-                .catch(() => {}) // Ignore errors for inactive tabs
+      // Pages send only the settings they changed
+      if (!isExtensionPage(sender)) return false;
+      if (!BlurShieldSettings.isPlainObject(message.changes)) {
+        sendResponse({ success: false });
+        return false;
+      }
+      queueSettingsUpdate(async (current) => {
+        if ((await isLocked()) && weakensProtection(current, message.changes)) {
+          return { success: false, locked: true };
+        }
+        await saveSettings({ ...current, ...message.changes });
+        return { success: true };
+      })
+        .then(sendResponse)
+        .catch((error) => {
+          console.error("Error saving settings:", error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+
+    case "trustSite":
+      whenUnlocked(() =>
+        trustSite(message.url || sender.tab?.url).then(() => ({
+          success: true,
+        }))
+      )
+        .then(sendResponse)
+        .catch((error) => {
+          console.error("Error trusting site:", error);
+          sendResponse({ success: false });
+        });
+      return true;
+
+    case "rememberRevealedMedia":
+      updateRevealedMedia((media) => {
+        const now = Date.now();
+        (message.urls || []).forEach((url) => {
+          media[url] = now;
+        });
+      }).then(() => sendResponse({ success: true }));
+      return true;
+
+    case "getRevealedMedia":
+      getRevealedMedia().then((media) =>
+        sendResponse({ media: pruneRevealedMedia(media) })
+      );
+      return true;
+
+    case "forgetRevealedMedia":
+      // Without urls the whole store is cleared
+      updateRevealedMedia((media) => {
+        const urls = message.urls || Object.keys(media);
+        urls.forEach((url) => delete media[url]);
+      }).then(() => sendResponse({ success: true }));
+      return true;
+
+    case "getBlockedMedia":
+      getBlockedMedia().then((rules) => sendResponse({ rules }));
+      return true;
+
+    case "addBlockedMedia":
+      updateBlockedMedia((rules) => {
+        const added = (message.rules || [])
+          .map((rule) => rule.trim())
+          .filter(
+            (rule) =>
+              BlurShieldMediaRules.isValidMediaRule(rule) &&
+              !rules.includes(rule)
           );
+        return [...rules, ...added];
+      }).then((rules) => sendResponse({ success: true, rules }));
+      return true;
 
-          Promise.allSettled(updatePromises).then(() => {
-            sendResponse({ success: true });
-          });
+    case "setBlockedMedia":
+      // Replaces the whole list, used by configuration import
+      if (!isExtensionPage(sender)) return false;
+      whenUnlocked(() =>
+        updateBlockedMedia(() =>
+          (message.rules || []).filter((rule) =>
+            BlurShieldMediaRules.isValidMediaRule(rule)
+          )
+        ).then((rules) => ({ success: true, rules }))
+      ).then(sendResponse);
+      return true;
+
+    case "removeBlockedMedia":
+      if (!isExtensionPage(sender)) return false;
+      whenUnlocked(() =>
+        updateBlockedMedia((rules) =>
+          rules.filter((rule) => !(message.rules || []).includes(rule))
+        ).then((rules) => ({ success: true, rules }))
+      ).then(sendResponse);
+      return true;
+
+    case "recordStats":
+      recordUsageStats({
+        site: sender.tab ? getHostname(sender.url) : null,
+        blurred: message.blurred,
+        revealed: message.revealed,
+      }).then(() => sendResponse({ success: true }));
+      return true;
+
+    case "getUsageStats":
+      getUsageStats().then((stats) => sendResponse({ stats }));
+      return true;
+
+    case "clearUsageStats":
+      queueStorageUpdate(() =>
+        chrome.storage.local.remove(USAGE_STATS_KEY)
+      ).then(() => sendResponse({ success: true }));
+      return true;
+
+    case "getDominantColor":
+      getDominantColor(message.url).then((color) => sendResponse({ color }));
+      return true;
+
+    case "classifyMedia":
+      classifyMedia(message.url).then((score) => sendResponse({ score }));
+      return true;
+
+    case "getOverrideState":
+      // Popup view of the overrides that apply to a tab
+      getOverrides().then((overrides) => {
+        const tab = { id: message.tabId, url: message.url };
+        sendResponse({
+          tabForceState: resolveTabForceState(overrides, tab),
+          tabOverride: overrides.tabs[message.tabId],
+          siteOverride: getActiveSiteOverride(overrides, message.url),
         });
       });
       return true;
 
-    case "getTabState":
-      // Allow content script to query its tab-specific state
-      if (sender.tab) {
-        sendResponse({
-          tabForceState: tabBlurState.get(sender.tab.id),
+    case "setTemporaryOverride":
+      if (!isExtensionPage(sender)) return false;
+      whenUnlocked(() =>
+        setTemporaryOverride(message).then(() => ({ success: true }))
+      )
+        .then(sendResponse)
+        .catch((error) => {
+          console.error("Error setting override:", error);
+          sendResponse({ success: false });
+        });
+      return true;
+
+    case "getLockState":
+      getLockState().then(sendResponse);
+      return true;
+
+    case "unlockSettings":
+      if (!isExtensionPage(sender)) return false;
+      unlockSettings(message.pin).then(sendResponse);
+      return true;
+
+    case "lockSettings":
+      lockSettings().then(() => sendResponse({ success: true }));
+      return true;
+
+    case "setPin":
+      if (!isExtensionPage(sender)) return false;
+      setPin(message.pin, message.currentPin).then(sendResponse);
+      return true;
+
+    case "removePin":
+      if (!isExtensionPage(sender)) return false;
+      removePin(message.currentPin).then(sendResponse);
+      return true;
+
+    case "clearTemporaryOverride":
+      clearTemporaryOverride(message)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => {
+          console.error("Error clearing override:", error);
+          sendResponse({ success: false });
         });
-      }
       return true;
   }
 });
@@ -0,0 +1,168 @@
+// Blur stylesheet shared by the background script, which injects it into
+// every frame as the page commits so media is covered before first paint,
+// and the content script, which copies it into open shadow roots.
+(function (root) {
+  "use strict";
+
+  // Selectors blurred for each profile media type
+  const MEDIA_SELECTORS = {
+    img: ["img", "picture"],
+    video: ["video"],
+    canvas: ["canvas"],
+    svg: ["svg"],
+    background: [
+      '[style*="background-image"]',
+      ".blur-shield-bg",
+      ".blur-shield-bg-before::before",
+      ".blur-shield-bg-after::after",
+    ],
+  };
+
+  // Classes that lift the blur from an otherwise blurred element. One
+  // :not() without descendant selectors keeps matching cheap on pages with
+  // thousands of media elements; pages without blur get no sheet at all.
+  const BLUR_EXCLUSIONS = `:not(${[
+    ".blur-shield-unblurred",
+    ".blur-shield-peek",
+    ".blur-shield-small",
+  ].join(", ")})`;
+
+  // Neutral placeholder for blocked media, part of every stylesheet and the
+  // whole of it where blur is off, since blocked media stays hidden there.
+  // Videos and canvases move their picture out of the box to show it.
+  const BLOCKED_PLACEHOLDER =
+    "data:image/svg+xml," +
+    encodeURIComponent(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64">' +
+        '<rect width="64" height="64" fill="#9e9e9e"/>' +
+        '<circle cx="32" cy="32" r="14" fill="none" stroke="#e0e0e0" stroke-width="4"/>' +
+        '<line x1="22" y1="42" x2="42" y2="22" stroke="#e0e0e0" stroke-width="4"/>' +
+        "</svg>"
+    );
+
+  const BLOCKED_CSS = `
+        img.blur-shield-blocked {
+          content: url("${BLOCKED_PLACEHOLDER}") !important;
+          object-fit: contain !important;
+          background: #9e9e9e !important;
+        }
+        svg.blur-shield-blocked {
+          opacity: 0 !important;
+        }
+        .blur-shield-blocked:not(img),
+        .blur-shield-blocked::before,
+        .blur-shield-blocked::after {
+          background-image: none !important;
+          background-color: #9e9e9e !important;
+        }
+        video.blur-shield-blocked,
+        canvas.blur-shield-blocked {
+          object-position: -99999px -99999px !important;
+          background: #9e9e9e url("${BLOCKED_PLACEHOLDER}") center / 64px
+            no-repeat !important;
+        }
+      `;
+
+  // Compositing layers only for blurred media near the viewport, marked by
+  // the content script, so long feeds do not hold a layer per image
+  const LAYER_CSS = `
+        .blur-shield-layer${BLUR_EXCLUSIONS} {
+          transform: translateZ(0);
+          backface-visibility: hidden;
+        }
+      `;
+
+  // Fill for the solid and dominant-color styles until a color is known
+  const PLACEHOLDER_COLOR = "#9e9e9e";
+
+  // SVG filter behind the pixelate style, and the custom property the
+  // content script sets to it once the filter exists
+  const PIXELATE_FILTER_ID = "blur-shield-pixelate";
+  const PIXELATE_PROPERTY = "--blur-shield-pixelate";
+
+  // Set on the root by the stylesheet the background script injects
+  const INJECTED_PROPERTY = "--blur-shield-injected";
+
+  // Declarations that obscure each media type in a style. Fill styles move
+  // replaced content out of its box so only the background shows.
+  function getObscuringRules(profile) {
+    const radius = profile.blurIntensity;
+    switch (profile.blurStyle) {
+      case "grayscale":
+        return [
+          {
+            types: Object.keys(MEDIA_SELECTORS),
+            css: `filter: grayscale(1) blur(${radius}px) !important;`,
+          },
+        ];
+      case "pixelate":
+        // A filter that does not exist yet would leave media unobscured,
+        // so blur stands in until the content script adds it
+        return [
+          {
+            types: Object.keys(MEDIA_SELECTORS),
+            css: `filter: var(${PIXELATE_PROPERTY}, blur(${radius}px)) !important;`,
+          },
+        ];
+      case "solid":
+      case "dominant": {
+        const fill =
+          profile.blurStyle === "dominant"
+            ? `var(--blur-shield-fill, ${PLACEHOLDER_COLOR})`
+            : PLACEHOLDER_COLOR;
+        return [
+          {
+            types: ["img", "video", "canvas"],
+            css: `object-position: -99999px -99999px !important;
+          background: ${fill} !important;`,
+          },
+          { types: ["svg"], css: "filter: contrast(0) !important;" },
+          {
+            types: ["background"],
+            css: `background-image: none !important;
+          background-color: ${fill} !important;`,
+          },
+        ];
+      }
+      default:
+        return [
+          {
+            types: Object.keys(MEDIA_SELECTORS),
+            css: `filter: blur(${radius}px) !important;`,
+          },
+        ];
+    }
+  }
+
+  // Build the blur stylesheet from a resolved site profile
+  function generateBlurCSS(profile) {
+    const rules = getObscuringRules(profile).map(({ types, css }) => {
+      const selectors = types
+        .filter((type) => profile.mediaTypes[type])
+        .flatMap((type) => MEDIA_SELECTORS[type])
+        .map((selector) => {
+          // Exclusions must come before any pseudo-element
+          const [base, pseudo] = selector.split("::");
+          return `${base}${BLUR_EXCLUSIONS}${pseudo ? "::" + pseudo : ""}`;
+        });
+      if (selectors.length === 0) return "";
+
+      return `
+      ${selectors.join(",\n      ")} {
+        ${css}
+        transition: filter 0.2s ease !important;
+      }
+    `;
+    });
+
+    return BLOCKED_CSS + LAYER_CSS + rules.join("");
+  }
+
+  root.BlurShieldCSS = {
+    PIXELATE_FILTER_ID,
+    PIXELATE_PROPERTY,
+    INJECTED_PROPERTY,
+    BLOCKED_CSS,
+    generateBlurCSS,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,89 @@
+// Shared per-site blur profile resolution used by the content script and the popup.
+// A profile overrides the global blur settings for every URL matched by its
+// site rule (see site-rules.js); fields left out fall back to the globals.
+(function (root) {
+  "use strict";
+
+  const MEDIA_TYPES = ["img", "video", "canvas", "svg", "background"];
+
+  const REVEAL_MODES = ["hover", "none"];
+
+  // How blurred media is obscured. blurIntensity is the blur radius for
+  // "blur" and "grayscale" and the block size for "pixelate"; "solid" and
+  // "dominant" hide the media behind a gray or average-color fill.
+  const BLUR_STYLES = ["blur", "grayscale", "pixelate", "solid", "dominant"];
+
+  const DEFAULT_PROFILE = {
+    blurStyle: "blur",
+    blurIntensity: 10,
+    mediaTypes: {
+      img: true,
+      video: true,
+      canvas: true,
+      svg: true,
+      background: true,
+    },
+    revealMode: "hover",
+    minMediaSize: 0,
+  };
+
+  // Whether the intensity setting changes how a style looks
+  function usesIntensity(blurStyle) {
+    return blurStyle !== "solid" && blurStyle !== "dominant";
+  }
+
+  function normalizeSize(value) {
+    const size = parseInt(value, 10);
+    return Number.isFinite(size) && size > 0 ? size : 0;
+  }
+
+  // Find the site rule whose profile applies to the URL
+  function findProfileRule(siteProfiles, url) {
+    if (!siteProfiles) return null;
+    return BlurShieldSiteRules.findMatchingRule(Object.keys(siteProfiles), url);
+  }
+
+  // Merge the matching site profile over the global settings
+  function resolveProfile(settings, url) {
+    const base = {
+      blurStyle: BLUR_STYLES.includes(settings?.blurStyle)
+        ? settings.blurStyle
+        : DEFAULT_PROFILE.blurStyle,
+      blurIntensity: settings?.blurIntensity || DEFAULT_PROFILE.blurIntensity,
+      mediaTypes: { ...DEFAULT_PROFILE.mediaTypes, ...settings?.mediaTypes },
+      revealMode: DEFAULT_PROFILE.revealMode,
+      minMediaSize: normalizeSize(settings?.minMediaSize),
+      rule: null,
+    };
+
+    const rule = findProfileRule(settings?.siteProfiles, url);
+    if (!rule) return base;
+
+    const profile = settings.siteProfiles[rule] || {};
+    return {
+      blurStyle: BLUR_STYLES.includes(profile.blurStyle)
+        ? profile.blurStyle
+        : base.blurStyle,
+      blurIntensity: profile.blurIntensity || base.blurIntensity,
+      mediaTypes: { ...base.mediaTypes, ...profile.mediaTypes },
+      revealMode: REVEAL_MODES.includes(profile.revealMode)
+        ? profile.revealMode
+        : base.revealMode,
+      minMediaSize:
+        profile.minMediaSize !== undefined
+          ? normalizeSize(profile.minMediaSize)
+          : base.minMediaSize,
+      rule,
+    };
+  }
+
+  root.BlurShieldProfiles = {
+    MEDIA_TYPES,
+    REVEAL_MODES,
+    BLUR_STYLES,
+    DEFAULT_PROFILE,
+    usesIntensity,
+    findProfileRule,
+    resolveProfile,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,74 @@
+// Pluggable on-device image classifiers. Loaded by the background script,
+// which runs them, and by the popup, which lists them.
+//
+// A classifier is { id, name, messageName, classify(bitmap) } where classify
+// receives an ImageBitmap and resolves to a score between 0 (safe) and 1
+// (flagged). The optional messageName is its translated name in _locales.
+// Everything runs locally, nothing is sent over the network.
+(function (root) {
+  "use strict";
+
+  const registry = new Map();
+
+  function register(classifier) {
+    if (!classifier?.id || typeof classifier.classify !== "function") {
+      throw new Error("BlurShield: invalid classifier");
+    }
+    registry.set(classifier.id, classifier);
+  }
+
+  function get(id) {
+    return registry.get(id) || null;
+  }
+
+  function list() {
+    return [...registry.values()].map(({ id, name, messageName }) => ({
+      id,
+      name,
+      messageName,
+    }));
+  }
+
+  // Side of the square the image is scaled down to before scoring
+  const SAMPLE_SIZE = 64;
+
+  // Share of skin-tone pixels at which the score reaches 1
+  const SKIN_RATIO_FOR_MAX_SCORE = 0.5;
+
+  // Skin-tone classification in YCbCr space (Chai & Ngan), a cheap scorer
+  // that flags images dominated by skin colors
+  register({
+    id: "skin-tone",
+    name: "Skin-tone heuristic",
+    messageName: "classifierSkinTone",
+    async classify(bitmap) {
+      const canvas = new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+      const context = canvas.getContext("2d", { willReadFrequently: true });
+      context.drawImage(bitmap, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+
+      const { data } = context.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+      let skinPixels = 0;
+      let opaquePixels = 0;
+
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        opaquePixels++;
+
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+
+        if (cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173) {
+          skinPixels++;
+        }
+      }
+
+      if (opaquePixels === 0) return 0;
+      return Math.min(1, skinPixels / opaquePixels / SKIN_RATIO_FOR_MAX_SCORE);
+    },
+  });
+
+  root.BlurShieldClassifiers = { register, get, list };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -1,82 +1,312 @@
 (function () {
   "use strict";
 
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  const t = BlurShieldI18n.getMessage;
+
+  // Pixelation: sample one pixel per block and grow it to fill the block
+  function createPixelateFilter(size) {
+    const block = Math.max(2, size);
+    const half = Math.floor(block / 2);
+    const filter = document.createElementNS(SVG_NS, "filter");
+    filter.id = BlurShieldCSS.PIXELATE_FILTER_ID;
+    [
+      ["x", "0"],
+      ["y", "0"],
+      ["width", "1"],
+      ["height", "1"],
+    ].forEach(([name, value]) => filter.setAttribute(name, value));
+
+    const primitives = [
+      ["feFlood", { x: half, y: half, width: 1, height: 1 }],
+      ["feComposite", { width: block, height: block }],
+      ["feTile", { result: "tiles" }],
+      ["feComposite", { in: "SourceGraphic", in2: "tiles", operator: "in" }],
+      ["feMorphology", { operator: "dilate", radius: half }],
+    ];
+    primitives.forEach(([tag, attributes]) => {
+      const primitive = document.createElementNS(SVG_NS, tag);
+      Object.entries(attributes).forEach(([name, value]) =>
+        primitive.setAttribute(name, value)
+      );
+      filter.appendChild(primitive);
+    });
+    return filter;
+  }
+
+  // Elements never checked for stylesheet background images
+  const BACKGROUND_SKIP_TAGS = new Set([
+    "HTML",
+    "HEAD",
+    "BODY",
+    "SCRIPT",
+    "STYLE",
+    "LINK",
+    "META",
+    "TITLE",
+    "NOSCRIPT",
+    "TEMPLATE",
+    "IMG",
+    "PICTURE",
+    "SOURCE",
+    "VIDEO",
+    "CANVAS",
+    "svg",
+  ]);
+
+  // Media the user revealed, leaving out what the classifier revealed and
+  // our own always-unblurred filter <svg>
+  const USER_REVEALED_SELECTOR =
+    ".blur-shield-unblurred:not(.blur-shield-auto-revealed):not([data-blur-shield])";
+
+  // How long usage counts are collected before they go to the background
+  const STATS_FLUSH_DELAY = 5000;
+
+  // Set on open shadow hosts by shadow-hook.js in the page's main world
+  const SHADOW_HOST_ATTRIBUTE = "data-blur-shield-shadow";
+
+  const MUTATION_OPTIONS = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeOldValue: true,
+    attributeFilter: [
+      "src",
+      "srcset",
+      "poster",
+      "style",
+      "class",
+      SHADOW_HOST_ATTRIBUTE,
+    ],
+  };
+
+  // Class names other than our own, for comparing class attribute values
+  function getPageClasses(value) {
+    return (value || "")
+      .split(/\s+/)
+      .filter((name) => name && !name.startsWith("blur-shield-"))
+      .sort()
+      .join(" ");
+  }
+
+  // Records of class changes we made ourselves are dropped unqueued
+  function isOwnClassChange(mutation) {
+    return (
+      mutation.attributeName === "class" &&
+      getPageClasses(mutation.oldValue) ===
+        getPageClasses(mutation.target.getAttribute("class"))
+    );
+  }
+
+  // Mutation records, and the elements of added subtrees, are worked off in
+  // chunks while the page is idle; the timeout bounds how long new media
+  // waits for its overlay and checks
+  const MUTATION_CHUNK_SIZE = 50;
+  const MUTATION_IDLE_TIMEOUT = 200; // ms
+
+  // Media that blocked-media rules can match without computed styles
+  const MEDIA_SELECTOR =
+    'img, picture, video, canvas, svg, [style*="background-image"]';
+
+  // Attribute changes that can swap the media an element shows
+  const SOURCE_ATTRIBUTES = new Set(["src", "srcset", "poster", "style"]);
+
+  // First url(...) in a background-image value
+  const BACKGROUND_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/i;
+
+  // Computed background values that carry an actual image
+  const BACKGROUND_IMAGE_PATTERN = /url\(|image-set\(/i;
+
   class HighPerformanceBlurShield {
     constructor() {
       this.isEnabled = true;
+      this.blurStyle = "blur";
       this.blurIntensity = 10;
+      this.mode = "whitelist";
       this.whitelist = [];
+      this.blocklist = [];
+      this.mediaTypes = {};
+      this.minMediaSize = 0;
+      this.siteProfiles = {};
+      this.videoAutoPause = false;
+      this.videoMute = false;
+      this.classifier = "off";
+      this.classifierThreshold = 0.3;
+      this.revealSeconds = 10;
+      this.storedSettings = {}; // settings as sent by the background
+      this.effectiveSettings = {}; // stored settings with schedules applied
+      this.settingsUrl = location.href; // URL the settings were read for
+      this.autoReblurSeconds = 0;
+      this.reblurOffscreen = false;
+      this.revealedMedia = new Set(); // normalized URLs the user revealed before
+      this.blockedMedia = []; // blocked-media rules, see media-rules.js
+      this.profile = BlurShieldProfiles.resolveProfile({}, location.href);
       this.currentDomain = location.hostname;
       this.isWhitelisted = false;
+      this.isBlocklisted = false;
       this.tabForceState = undefined; // undefined = use global, false = force disable, true = force enable
-      this.hoverBtn = null;
-      this.currentTarget = null;
-      this.styleSheet = null;
+      this.overlays = new WeakMap(); // media element -> its overlay
+      this.overlayFrame = null;
+      this.currentTarget = null; // media whose overlay is shown
+      this.contextTarget = null; // media last right-clicked
+      this.hoveredMedia = null; // media under the pointer
+      this.revealTimers = new WeakMap(); // media element -> re-blur timeout
+      this.pageStats = { blurred: 0, revealed: 0 }; // counts for this page
+      this.pendingStats = { blurred: 0, revealed: 0 }; // not yet reported
+      this.statsTimer = null;
+      this.shadowCSS = ""; // blur stylesheet copied into open shadow roots
+      this.documentStyle = null; // own document sheet until the background's lands
       this.isInitialized = false;
+      this.activeMode = null; // "blur", "blocked" (only hide blocked media) or null
+      this.countedMedia = new WeakSet(); // media already counted as blurred
+      this.mediaSources = new WeakMap(); // media element -> source it was last checked for
+
+      // Open shadow roots we inject the blur stylesheet into (root -> <style>)
+      this.shadowStyles = new Map();
 
       // Performance optimizations
-      this.mutationDebounce = null;
+      this.mutationIdle = null; // pending idle callback for queued mutations
+      this.pendingMutations = [];
+      this.pendingScans = []; // subtrees still to check: { walker, started, initial }
       this.hoverDebounce = null;
+      this.mutationObserver = null;
       this.intersectionObserver = null;
 
+      // Timings reported to the popup, in ms
+      this.timing = {
+        scanMs: 0,
+        batches: 0,
+        batchMs: 0,
+        maxBatchMs: 0,
+        mediaCount: 0,
+      };
+
       // Cache DOM queries
       this.bodyElement = null;
 
       this.initializeImmediate();
     }
 
-    // CRITICAL: Initialize instantly to prevent image flash
+    // The background script injects the stylesheet for the user's settings
+    // as the document commits. If this runs before it lands, settings are
+    // not known yet either, so media is covered with the default profile
+    // until then.
     initializeImmediate() {
-      // Create high-priority style injection
-      this.injectInstantBlurCSS();
+      if (!this.hasInjectedCSS()) {
+        this.documentStyle = document.createElement("style");
+        this.documentStyle.setAttribute("data-blur-shield", "");
+        this.documentStyle.textContent = BlurShieldCSS.generateBlurCSS(
+          this.profile
+        );
+        (document.head || document.documentElement).appendChild(
+          this.documentStyle
+        );
+      }
 
-      // Load settings and continue initialization
       this.loadSettingsAndInit();
     }
 
-    injectInstantBlurCSS() {
-      // Create stylesheet with maximum priority
-      this.styleSheet = document.createElement("style");
-      this.styleSheet.textContent = this.generateBlurCSS(this.blurIntensity);
-
-      // Insert as first child for maximum priority
-      const target = document.head || document.documentElement;
-      target.insertBefore(this.styleSheet, target.firstChild);
+    hasInjectedCSS() {
+      return (
+        getComputedStyle(document.documentElement).getPropertyValue(
+          BlurShieldCSS.INJECTED_PROPERTY
+        ) !== ""
+      );
     }
 
-    generateBlurCSS(intensity = 10) {
-      return `
-        img:not(.blur-shield-unblurred):not(.blur-shield-whitelist *),
-        picture:not(.blur-shield-unblurred):not(.blur-shield-whitelist *),
-        video:not(.blur-shield-unblurred):not(.blur-shield-whitelist *),
-        canvas:not(.blur-shield-unblurred):not(.blur-shield-whitelist *),
-        svg:not(.blur-shield-unblurred):not(.blur-shield-whitelist *),
-        [style*="background-image"]:not(.blur-shield-unblurred):not(.blur-shield-whitelist *) {
-          filter: blur(${intensity}px) !important;
-          transition: filter 0.2s ease !important;
-          transform: translateZ(0);
+    // Hand the document stylesheet over to the background script. Frames it
+    // cannot inject into keep ours, which applySettings keeps up to date.
+    async requestBlurCSS() {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: "injectBlurCSS",
+        });
+        if (response?.injected) {
+          this.documentStyle?.remove();
+          this.documentStyle = null;
         }
-      `;
+      } catch (error) {
+        // Keep our own stylesheet
+      }
+    }
+
+    // Keep the pixelate filter next to a stylesheet; filter references only
+    // resolve within the same document or shadow root. The stylesheet blurs
+    // until the property pointing at the filter is set.
+    updateFilters(container) {
+      if (!container) return;
+
+      const owner = container.host || container;
+      let svg = container.querySelector(":scope > svg[data-blur-shield]");
+      if (this.profile.blurStyle !== "pixelate" || !this.shouldBlurBeActive()) {
+        svg?.remove();
+        owner.style.removeProperty(BlurShieldCSS.PIXELATE_PROPERTY);
+        return;
+      }
+
+      if (!svg) {
+        svg = document.createElementNS(SVG_NS, "svg");
+        svg.setAttribute("data-blur-shield", "");
+        svg.setAttribute("aria-hidden", "true");
+        svg.setAttribute("width", "0");
+        svg.setAttribute("height", "0");
+        svg.setAttribute("style", "position: absolute !important");
+        // Never treated as page media
+        svg.classList.add("blur-shield-processed", "blur-shield-unblurred");
+        container.appendChild(svg);
+      }
+      svg.replaceChildren(createPixelateFilter(this.profile.blurIntensity));
+      owner.style.setProperty(
+        BlurShieldCSS.PIXELATE_PROPERTY,
+        `url("#${BlurShieldCSS.PIXELATE_FILTER_ID}")`
+      );
+    }
+
+    // Fill media with its average color for the dominant-color style. The
+    // background script decodes the media, so cross-origin images work too.
+    async applyDominantColor(element) {
+      if (
+        this.profile.blurStyle !== "dominant" ||
+        element.style.getPropertyValue("--blur-shield-fill")
+      ) {
+        return;
+      }
+
+      const [url] = this.getMediaUrls(element);
+      if (!url) return;
+
+      const color = await chrome.runtime
+        .sendMessage({ type: "getDominantColor", url })
+        .then((response) => response?.color ?? null)
+        .catch(() => null);
+      if (color) {
+        element.style.setProperty("--blur-shield-fill", color);
+      }
+    }
+
+    // Resolve the profile for the current page from the loaded settings
+    resolveProfile() {
+      return BlurShieldProfiles.resolveProfile(
+        {
+          blurStyle: this.blurStyle,
+          blurIntensity: this.blurIntensity,
+          mediaTypes: this.mediaTypes,
+          minMediaSize: this.minMediaSize,
+          siteProfiles: this.siteProfiles,
+        },
+        location.href
+      );
     }
 
     async loadSettingsAndInit() {
       try {
         const settings = await this.getStorageSettings();
-
-        this.isEnabled = settings.isEnabled !== false;
-        this.blurIntensity = settings.blurIntensity || 10;
-        this.whitelist = settings.whitelist || [];
-        this.tabForceState = settings.tabForceState;
-
-        // Check whitelist status
-        this.isWhitelisted = this.whitelist.some(
-          (domain) =>
-            this.currentDomain.includes(domain) ||
-            domain.includes(this.currentDomain)
-        );
+        this.readSettings(settings, settings.tabForceState);
 
         // Apply settings immediately
         this.applySettings();
+        this.requestBlurCSS();
 
         // Complete initialization when DOM is ready
         if (document.readyState === "loading") {
@@ -94,12 +324,26 @@
       }
     }
 
-    getStorageSettings() {
+    async getStorageSettings() {
+      const [settings, mediaLists] = await Promise.all([
+        this.getSettings(),
+        this.getMediaLists(),
+      ]);
+      this.revealedMedia = new Set(
+        BlurShieldMediaRules.getActiveReveals(mediaLists.revealedMedia)
+      );
+      this.blockedMedia = mediaLists.blockedMedia || [];
+      return settings;
+    }
+
+    // Remembered reveals and blocked media are written by the background
+    // script only
+    getMediaLists() {
       return new Promise((resolve) => {
-        if (typeof chrome !== "undefined" && chrome.storage) {
-          chrome.storage.sync.get(
-            ["isEnabled", "blurIntensity", "whitelist"],
-            resolve
+        if (typeof chrome !== "undefined" && chrome.storage?.local) {
+          chrome.storage.local.get(
+            ["revealedMedia", "blockedMedia"],
+            (result) => resolve(result || {})
           );
         } else {
           resolve({});
@@ -107,29 +351,140 @@
       });
     }
 
-    // Determine if blurring should be active based on all settings
-    shouldBlurBeActive() {
-      // Tab-specific override takes precedence
-      if (this.tabForceState !== undefined) {
-        return this.tabForceState;
-      }
+    // Copy settings onto the instance and recompute list status and profile
+    readSettings(storedSettings, tabForceState) {
+      this.storedSettings = storedSettings;
+      this.settingsUrl = location.href; // path and regex rules depend on it
+
+      // Active schedules adjust the stored settings
+      const settings = BlurShieldSchedules.applySchedules(storedSettings);
+      this.effectiveSettings = settings;
+
+      this.isEnabled = settings.isEnabled !== false;
+      this.blurStyle = settings.blurStyle || "blur";
+      this.blurIntensity = settings.blurIntensity || 10;
+      this.mode = settings.mode === "blocklist" ? "blocklist" : "whitelist";
+      this.whitelist = settings.whitelist || [];
+      this.blocklist = settings.blocklist || [];
+      this.mediaTypes = settings.mediaTypes || {};
+      this.minMediaSize = settings.minMediaSize || 0;
+      this.siteProfiles = settings.siteProfiles || {};
+      this.videoAutoPause = settings.videoAutoPause === true;
+      this.videoMute = settings.videoMute === true;
+      this.classifier = settings.classifier || "off";
+      this.classifierThreshold = settings.classifierThreshold ?? 0.3;
+      this.revealSeconds = settings.revealSeconds || 10;
+      this.autoReblurSeconds = settings.autoReblurSeconds || 0;
+      this.reblurOffscreen = settings.reblurOffscreen === true;
+      this.tabForceState = tabForceState;
 
-      // Then check global enabled state and whitelist
-      return this.isEnabled && !this.isWhitelisted;
+      // Check whitelist and blocklist status
+      this.isWhitelisted = this.matchesWhitelist();
+      this.isBlocklisted = this.matchesBlocklist();
+      this.profile = this.resolveProfile();
     }
 
-    applySettings() {
-      if (!this.styleSheet) return;
+    // Settings are assembled by the background script, which stores them
+    // in chunks, together with this tab's forced state
+    getSettings() {
+      return new Promise((resolve) => {
+        if (typeof chrome !== "undefined" && chrome.runtime?.sendMessage) {
+          chrome.runtime.sendMessage({ type: "getSettings" }, (response) => {
+            // Background may be unavailable, e.g. while the extension reloads
+            void chrome.runtime.lastError;
+            resolve(response || {});
+          });
+        } else {
+          resolve({});
+        }
+      });
+    }
 
+    // Match the current page URL against the trusted site rules
+    matchesWhitelist() {
+      return BlurShieldSiteRules.matchesAny(this.whitelist, location.href);
+    }
+
+    // Match the current page URL against the blurred site rules
+    matchesBlocklist() {
+      return BlurShieldSiteRules.matchesAny(this.blocklist, location.href);
+    }
+
+    // Determine if blurring should be active based on all settings; the
+    // background script decides the same way for the stylesheet it injects
+    shouldBlurBeActive() {
+      return BlurShieldSchedules.isBlurActive(
+        this.effectiveSettings,
+        location.href,
+        this.tabForceState
+      );
+    }
+
+    // The background script swaps the document stylesheet for the same
+    // settings; shadow roots, our own document sheet while it is still in
+    // place and the whitelist class are kept here
+    applySettings() {
       if (!this.shouldBlurBeActive()) {
-        // Disable all blurring
-        this.styleSheet.textContent = "";
+        // Disable all blurring; blocked media stays hidden
+        this.shadowCSS = BlurShieldCSS.BLOCKED_CSS;
         this.addWhitelistClass();
       } else {
-        // Update blur intensity
-        this.styleSheet.textContent = this.generateBlurCSS(this.blurIntensity);
+        // Update blur from the resolved site profile
+        this.shadowCSS = BlurShieldCSS.generateBlurCSS(this.profile);
         this.removeWhitelistClass();
       }
+
+      if (this.documentStyle) {
+        this.documentStyle.textContent = this.shadowCSS;
+      }
+      this.updateFilters(document.documentElement);
+      this.updateShadowStyles();
+    }
+
+    // Keep every tracked shadow root stylesheet in sync with the settings
+    updateShadowStyles() {
+      const css = this.shadowCSS;
+      this.shadowStyles.forEach((style, root) => {
+        // Forget roots whose host has left the document
+        if (!root.host.isConnected) {
+          this.shadowStyles.delete(root);
+          return;
+        }
+        style.textContent = css;
+        this.updateFilters(root);
+      });
+    }
+
+    // Inject the blur stylesheet into an open shadow root and watch it.
+    // Returns false if the root was already being tracked.
+    attachShadowRoot(root) {
+      if (this.shadowStyles.has(root)) return false;
+
+      // The root may still hold our stylesheet from an earlier attachment
+      let style = root.querySelector(":scope > style[data-blur-shield]");
+      if (!style) {
+        style = document.createElement("style");
+        style.setAttribute("data-blur-shield", "");
+        root.insertBefore(style, root.firstChild);
+      }
+      style.textContent = this.shadowCSS;
+      this.shadowStyles.set(root, style);
+      this.updateFilters(root);
+
+      this.mutationObserver?.observe(root, MUTATION_OPTIONS);
+
+      // Media events do not cross shadow boundaries
+      root.addEventListener("play", this.handleVideoPlay, true);
+      return true;
+    }
+
+    // Query the document and every tracked shadow root
+    queryAllRoots(selector) {
+      const results = [...document.querySelectorAll(selector)];
+      this.shadowStyles.forEach((style, root) => {
+        results.push(...root.querySelectorAll(selector));
+      });
+      return results;
     }
 
     addWhitelistClass() {
@@ -150,50 +505,197 @@
 
       this.bodyElement = document.body;
 
-      if (!this.shouldBlurBeActive()) return;
+      // Messages must arrive even while inactive, to turn blur back on
+      this.setupMessageListener();
+
+      // Report pending counts before the page goes away
+      window.addEventListener("pagehide", this.flushStats);
+
+      this.updateActivation();
+    }
+
+    // How the page needs watching: to blur it, or only to hide blocked
+    // media where blur is off
+    getActiveMode() {
+      if (this.shouldBlurBeActive()) return "blur";
+      return this.blockedMedia.length > 0 ? "blocked" : null;
+    }
+
+    // Start, switch or stop watching the page to match the current settings.
+    // Safe to call any number of times.
+    updateActivation() {
+      if (!this.isInitialized) return;
+
+      const mode = this.getActiveMode();
+      if (mode === this.activeMode) return;
+      if (this.activeMode) this.deactivate();
+      if (mode) this.activate(mode);
+    }
+
+    activate(mode) {
+      this.activeMode = mode;
+      this.bodyElement = document.body;
 
       this.setupOptimizedObservers();
-      this.setupEventDelegation();
-      this.createHoverButton();
-      this.setupMessageListener();
+      this.shadowStyles.forEach((style, root) => {
+        this.mutationObserver.observe(root, MUTATION_OPTIONS);
+        root.addEventListener("play", this.handleVideoPlay, true);
+      });
+      this.scanExistingImages();
+      if (mode === "blur") {
+        this.setupEventDelegation();
+      }
     }
 
-    setupOptimizedObservers() {
-      // Optimized MutationObserver with debouncing
-      const observer = new MutationObserver((mutations) => {
-        if (this.mutationDebounce) return;
+    // Undo everything activate() set up, leaving the page as it was apart
+    // from the tracked shadow root stylesheets, which stay empty
+    deactivate() {
+      this.activeMode = null;
 
-        this.mutationDebounce = requestAnimationFrame(() => {
-          this.processMutations(mutations);
-          this.mutationDebounce = null;
-        });
+      this.teardownEventDelegation();
+      this.mutationObserver?.disconnect();
+      this.mutationObserver = null;
+      this.intersectionObserver?.disconnect();
+      this.intersectionObserver = null;
+
+      cancelIdleCallback(this.mutationIdle);
+      cancelAnimationFrame(this.hoverDebounce);
+      cancelAnimationFrame(this.overlayFrame);
+      this.mutationIdle = null;
+      this.pendingMutations = [];
+      this.pendingScans = [];
+      this.hoverDebounce = null;
+      this.overlayFrame = null;
+
+      this.hideOverlay();
+      this.hoveredMedia = null;
+      this.contextTarget = null;
+
+      // Media is processed again on the next activation; our filter <svg>
+      // keeps its classes so it is never taken for media
+      this.queryAllRoots(
+        ".blur-shield-processed:not([data-blur-shield])"
+      ).forEach((element) => {
+        this.cancelReblur(element);
+        element.classList.remove(
+          "blur-shield-processed",
+          "blur-shield-blurred",
+          "blur-shield-hover-ready",
+          "blur-shield-layer"
+        );
+      });
+      this.queryAllRoots("[data-blur-shield-focusable]").forEach((element) => {
+        element.removeAttribute("tabindex");
+        delete element.dataset.blurShieldFocusable;
       });
 
-      observer.observe(document.documentElement, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ["src", "style", "class"],
+      // Media events are only listened for while active
+      this.shadowStyles.forEach((style, root) => {
+        root.removeEventListener("play", this.handleVideoPlay, true);
       });
 
-      // Intersection Observer for large image sets
+      this.flushStats();
+    }
+
+    // Pick up media already in the document before the observer started.
+    // The stylesheet already covers it, so it is checked in idle time too;
+    // only blocked media is swapped for its placeholder right away.
+    scanExistingImages() {
+      if (this.blockedMedia.length > 0) {
+        this.queryAllRoots(MEDIA_SELECTOR).forEach((element) =>
+          this.blockIfListed(element)
+        );
+      }
+      this.queueSubtree(document.documentElement, true);
+      this.scheduleMutationWork();
+    }
+
+    setupOptimizedObservers() {
+      // New media is already covered by the blur stylesheet, so apart from
+      // the blocked-media check, which must happen before paint, the work
+      // can wait for idle time
+      this.mutationObserver = new MutationObserver((records) => {
+        const mutations = records.filter(
+          (mutation) => !isOwnClassChange(mutation)
+        );
+        if (mutations.length === 0) return;
+
+        this.blockNewMedia(mutations);
+        this.pendingMutations = this.pendingMutations.concat(mutations);
+        this.scheduleMutationWork();
+      });
+
+      this.mutationObserver.observe(document.documentElement, MUTATION_OPTIONS);
+
+      // Visibility only matters for blurred media
+      if (this.activeMode !== "blur") return;
       this.intersectionObserver = new IntersectionObserver(
         (entries) => this.processIntersection(entries),
         { rootMargin: "50px" }
       );
     }
 
+    hasPendingWork() {
+      return this.pendingMutations.length > 0 || this.pendingScans.length > 0;
+    }
+
+    scheduleMutationWork() {
+      if (this.mutationIdle || !this.hasPendingWork()) return;
+      this.mutationIdle = requestIdleCallback(this.processMutationQueue, {
+        timeout: MUTATION_IDLE_TIMEOUT,
+      });
+    }
+
+    // Process queued mutations, then the elements of queued subtrees, a
+    // chunk at a time until the idle period runs out. A call forced by the
+    // timeout does one chunk and yields again.
+    processMutationQueue = (deadline) => {
+      this.mutationIdle = null;
+      const start = performance.now();
+      const initialScan = this.pendingScans[0]?.initial === true;
+
+      do {
+        if (this.pendingMutations.length > 0) {
+          this.processMutations(
+            this.pendingMutations.splice(0, MUTATION_CHUNK_SIZE)
+          );
+        } else {
+          this.checkPendingElements(MUTATION_CHUNK_SIZE);
+        }
+      } while (this.hasPendingWork() && deadline.timeRemaining() > 0);
+
+      const duration = performance.now() - start;
+      this.timing.batches++;
+      this.timing.batchMs += duration;
+      this.timing.maxBatchMs = Math.max(this.timing.maxBatchMs, duration);
+      if (initialScan) {
+        this.timing.scanMs += duration;
+      }
+
+      this.scheduleMutationWork();
+    };
+
     processMutations(mutations) {
       const newImages = new Set();
 
       for (const mutation of mutations) {
         if (mutation.type === "childList") {
           for (const node of mutation.addedNodes) {
-            if (node.nodeType === 1) {
+            // Nodes removed again while queued are skipped
+            if (node.nodeType === 1 && node.isConnected) {
               // Element node
-              this.collectImages(node, newImages);
+              this.queueSubtree(node);
             }
           }
+        } else if (mutation.attributeName === SHADOW_HOST_ATTRIBUTE) {
+          // Shadow root attached after the host was inserted
+          if (mutation.target.shadowRoot) {
+            this.collectShadowRoot(mutation.target.shadowRoot);
+          }
+        } else if (SOURCE_ATTRIBUTES.has(mutation.attributeName)) {
+          this.handleAttributeChange(mutation.target, newImages);
+        } else if (mutation.attributeName === "class") {
+          this.handleClassChange(mutation.target, newImages);
         }
       }
 
@@ -203,51 +705,596 @@
       }
     }
 
-    collectImages(element, imageSet) {
-      if (this.isImageElement(element)) {
+    // Check added and changed media against the blocked list in the
+    // observer callback, which runs before the page paints again. Blocking
+    // is final here; unblocking after a source change waits for idle time.
+    blockNewMedia(mutations) {
+      if (this.blockedMedia.length === 0) return;
+
+      for (const mutation of mutations) {
+        if (mutation.type === "childList") {
+          for (const node of mutation.addedNodes) {
+            if (node.nodeType !== 1) continue;
+            this.blockIfListed(node);
+            node
+              .querySelectorAll(MEDIA_SELECTOR)
+              .forEach((element) => this.blockIfListed(element));
+          }
+        } else if (SOURCE_ATTRIBUTES.has(mutation.attributeName)) {
+          this.getSourceTargets(mutation.target).forEach((target) =>
+            this.blockIfListed(target)
+          );
+        }
+      }
+    }
+
+    blockIfListed(element) {
+      if (
+        element &&
+        this.isImageElement(element) &&
+        this.isBlockedMedia(element)
+      ) {
+        this.blockMedia(element);
+      }
+    }
+
+    // Media elements whose picture an attribute change on element can swap
+    getSourceTargets(element) {
+      if (element.tagName === "SOURCE") {
+        // <source> picks the media of its <picture> or <video>
+        const parent = element.parentElement;
+        return [parent, parent?.querySelector(":scope > img")];
+      }
+      if (element.tagName === "IMG") {
+        return [element, element.parentElement];
+      }
+      return [element];
+    }
+
+    // Lazy loaders, srcset swaps, carousels reusing one element and new
+    // inline backgrounds all show up as attribute changes
+    handleAttributeChange(element, imageSet) {
+      this.getSourceTargets(element).forEach((target) => {
+        if (!target || !this.isImageElement(target)) return;
+        if (target.classList.contains("blur-shield-processed")) {
+          this.handleSourceChange(target);
+        } else {
+          imageSet.add(target);
+        }
+      });
+    }
+
+    // Lazy loaders often swap a class, e.g. "lazyloaded", to apply a
+    // stylesheet background image
+    handleClassChange(element, imageSet) {
+      if (!element.isConnected) return;
+      if (element.classList.contains("blur-shield-processed")) {
+        this.handleSourceChange(element);
+      } else if (this.detectBackgroundImage(element)) {
         imageSet.add(element);
       }
+    }
 
-      // Use efficient selector for batch collection
-      const images = element.querySelectorAll?.(
-        'img, picture, video, canvas, svg, [style*="background-image"]'
+    // Raw source of an element's media, data: and blob: URLs included, used
+    // to notice when the element starts showing something else
+    getMediaSource(element) {
+      const attributes = (node) =>
+        ["src", "srcset", "poster"]
+          .map((name) => node.getAttribute(name) || "")
+          .join(" ");
+
+      switch (element.tagName?.toUpperCase()) {
+        case "PICTURE": {
+          const img = element.querySelector(":scope > img");
+          return img ? this.getMediaSource(img) : "";
+        }
+        case "IMG":
+        case "VIDEO": {
+          const container =
+            element.tagName === "VIDEO"
+              ? element
+              : element.parentElement?.tagName === "PICTURE"
+              ? element.parentElement
+              : null;
+          const sources = container
+            ? [...container.querySelectorAll(":scope > source")]
+            : [];
+          return [element, ...sources].map(attributes).join("|");
+        }
+        default:
+          return this.getMediaType(element) === "background"
+            ? this.getBackgroundUrl(element) || ""
+            : "";
+      }
+    }
+
+    // A processed element now shows different media: reveals, classifier
+    // results and fills belonged to the old picture, so start over
+    handleSourceChange(element) {
+      const source = this.getMediaSource(element);
+      if (this.mediaSources.get(element) === source) return;
+      this.mediaSources.set(element, source);
+
+      if (this.activeMode === "blocked") {
+        if (this.isBlockedMedia(element)) {
+          this.blockMedia(element);
+        } else {
+          element.classList.remove("blur-shield-blocked");
+        }
+        return;
+      }
+
+      if (element === this.currentTarget) {
+        this.hideOverlay();
+      }
+      this.reblurImage(element);
+      element.classList.remove(
+        "blur-shield-auto-revealed",
+        "blur-shield-hover-ready"
       );
-      if (images) {
-        images.forEach((img) => imageSet.add(img));
+      element.style.removeProperty("--blur-shield-fill");
+
+      if (this.isBlockedMedia(element)) {
+        this.blockMedia(element);
+      } else {
+        element.classList.remove("blur-shield-blocked");
+        if (this.isRevealedMedia(element)) {
+          element.classList.add("blur-shield-unblurred");
+          if (element.tagName === "VIDEO") {
+            this.releaseVideo(element);
+          }
+        }
       }
+
+      // Observing again delivers a fresh entry, which re-runs the size,
+      // classifier and color checks once the media is visible
+      this.intersectionObserver?.unobserve(element);
+      this.intersectionObserver?.observe(element);
+    }
+
+    // Queue a subtree to be checked an element at a time, so a large
+    // insertion or the initial scan never runs as one long task. A tree
+    // walker follows the live DOM, so nothing is copied up front.
+    queueSubtree(root, initial = false) {
+      this.pendingScans.push({
+        walker: document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT),
+        started: root.nodeType !== 1, // a shadow root itself is not checked
+        initial,
+      });
+    }
+
+    // Next element of the queued subtrees, or null once all are done
+    nextPendingElement() {
+      while (this.pendingScans.length > 0) {
+        const scan = this.pendingScans[0];
+        const element = scan.started
+          ? scan.walker.nextNode()
+          : scan.walker.currentNode;
+        scan.started = true;
+        if (element) return element;
+        this.pendingScans.shift();
+      }
+      return null;
+    }
+
+    checkPendingElements(count) {
+      const newImages = new Set();
+      for (let i = 0; i < count; i++) {
+        const element = this.nextPendingElement();
+        if (!element) break;
+        // Removed again while queued
+        if (!element.isConnected) continue;
+
+        if (this.isImageElement(element)) {
+          newImages.add(element);
+        }
+        this.scanElement(element, newImages);
+      }
+
+      if (newImages.size > 0) {
+        this.processNewImages(newImages);
+      }
+    }
+
+    // Find background images set from stylesheets, pseudo-elements and
+    // image-set(), which the inline style check cannot see, and open shadow
+    // roots, which the tree walker cannot enter
+    scanElement(element, imageSet) {
+      if (this.detectBackgroundImage(element)) {
+        imageSet.add(element);
+      }
+      if (element.shadowRoot) {
+        this.collectShadowRoot(element.shadowRoot);
+      }
+    }
+
+    collectShadowRoot(root) {
+      if (this.attachShadowRoot(root)) {
+        this.queueSubtree(root);
+      }
+    }
+
+    // Mark an element whose computed style paints a background image.
+    // Returns true if the element or one of its pseudo-elements has one.
+    detectBackgroundImage(element) {
+      if (
+        BACKGROUND_SKIP_TAGS.has(element.tagName) ||
+        element.classList.contains("blur-shield-overlay")
+      ) {
+        return false;
+      }
+
+      const hasImage = (style) =>
+        !!style && BACKGROUND_IMAGE_PATTERN.test(style.backgroundImage);
+
+      const own = hasImage(getComputedStyle(element));
+      const before = hasImage(getComputedStyle(element, "::before"));
+      const after = hasImage(getComputedStyle(element, "::after"));
+
+      element.classList.toggle("blur-shield-bg", own);
+      element.classList.toggle("blur-shield-bg-before", before);
+      element.classList.toggle("blur-shield-bg-after", after);
+
+      return own || before || after;
+    }
+
+    hasDetectedBackground(element) {
+      return (
+        element.classList.contains("blur-shield-bg") ||
+        element.classList.contains("blur-shield-bg-before") ||
+        element.classList.contains("blur-shield-bg-after")
+      );
     }
 
     processNewImages(images) {
       images.forEach((img) => {
-        if (!img.classList.contains("blur-shield-processed")) {
+        if (
+          this.activeMode === "blocked" &&
+          !img.classList.contains("blur-shield-processed")
+        ) {
+          // Blur is off, only blocked media is hidden
+          img.classList.add("blur-shield-processed");
+          this.mediaSources.set(img, this.getMediaSource(img));
+          if (this.isBlockedMedia(img)) {
+            this.blockMedia(img);
+          }
+        } else if (!img.classList.contains("blur-shield-processed")) {
+          this.timing.mediaCount++;
           img.classList.add("blur-shield-processed", "blur-shield-blurred");
+          this.mediaSources.set(img, this.getMediaSource(img));
           this.intersectionObserver?.observe(img);
+
+          if (this.isBlockedMedia(img)) {
+            this.blockMedia(img);
+          } else if (this.isRevealedMedia(img)) {
+            img.classList.add("blur-shield-unblurred");
+          } else if (img.tagName === "VIDEO") {
+            this.guardVideo(img);
+          }
+
+          if (this.isBlurredMediaType(img)) {
+            this.makeFocusable(img);
+            if (
+              !img.classList.contains("blur-shield-unblurred") &&
+              !this.countedMedia.has(img)
+            ) {
+              this.countedMedia.add(img);
+              this.recordStat("blurred");
+            }
+          }
+        }
+      });
+    }
+
+    // Let keyboard users Tab to blurred media, unless a link or control
+    // around it already takes focus
+    makeFocusable(element) {
+      if (
+        element.hasAttribute("tabindex") ||
+        element.closest("a[href], button, [tabindex]")
+      ) {
+        return;
+      }
+      element.tabIndex = 0;
+      element.dataset.blurShieldFocusable = "";
+    }
+
+    // Normalized URLs identifying the media an element shows
+    getMediaUrls(element) {
+      const urls = new Set();
+      const add = (url) => {
+        const normalized = this.normalizeMediaUrl(url);
+        if (normalized) urls.add(normalized);
+      };
+
+      switch (element.tagName?.toUpperCase()) {
+        case "PICTURE": {
+          const img = element.querySelector("img");
+          return img ? this.getMediaUrls(img) : [];
+        }
+        case "IMG":
+          add(element.currentSrc);
+          add(element.getAttribute("src"));
+          break;
+        case "VIDEO":
+          add(element.currentSrc);
+          add(element.getAttribute("src"));
+          add(element.getAttribute("poster"));
+          break;
+        default:
+          if (this.getMediaType(element) === "background") {
+            add(this.getBackgroundUrl(element));
+          }
+      }
+
+      return [...urls];
+    }
+
+    getBackgroundUrl(element) {
+      const values = [element.style?.backgroundImage];
+      if (element.classList.contains("blur-shield-bg")) {
+        values.push(getComputedStyle(element).backgroundImage);
+      }
+      if (element.classList.contains("blur-shield-bg-before")) {
+        values.push(getComputedStyle(element, "::before").backgroundImage);
+      }
+      if (element.classList.contains("blur-shield-bg-after")) {
+        values.push(getComputedStyle(element, "::after").backgroundImage);
+      }
+
+      for (const value of values) {
+        const match = value && BACKGROUND_URL_PATTERN.exec(value);
+        if (match) return match[2];
+      }
+      return null;
+    }
+
+    // Absolute http(s) URL without fragment; data: and blob: URLs are
+    // page-specific and never remembered
+    normalizeMediaUrl(url) {
+      if (!url) return null;
+      try {
+        const parsed = new URL(url, document.baseURI);
+        if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+          return null;
+        }
+        parsed.hash = "";
+        return parsed.href;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    isRevealedMedia(element) {
+      if (this.revealedMedia.size === 0) return false;
+      return this.getMediaUrls(element).some((url) =>
+        this.revealedMedia.has(url)
+      );
+    }
+
+    rememberRevealedMedia(element) {
+      const urls = this.getMediaUrls(element);
+      if (urls.length === 0) return;
+
+      urls.forEach((url) => this.revealedMedia.add(url));
+      chrome.runtime
+        .sendMessage({ type: "rememberRevealedMedia", urls })
+        .catch(() => {});
+    }
+
+    forgetRevealedMedia(element) {
+      const urls = this.getMediaUrls(element).filter((url) =>
+        this.revealedMedia.has(url)
+      );
+      if (urls.length === 0) return;
+
+      urls.forEach((url) => this.revealedMedia.delete(url));
+      chrome.runtime
+        .sendMessage({ type: "forgetRevealedMedia", urls })
+        .catch(() => {});
+    }
+
+    isBlockedMedia(element) {
+      if (this.blockedMedia.length === 0) return false;
+      return this.getMediaUrls(element).some((url) =>
+        BlurShieldMediaRules.matchesAnyMediaRule(this.blockedMedia, url)
+      );
+    }
+
+    // Replace the media with the neutral placeholder
+    blockMedia(element) {
+      element.classList.add("blur-shield-blocked");
+      if (element.tagName === "VIDEO") {
+        element.pause();
+        element.muted = true;
+      }
+    }
+
+    // Always hide this media from now on
+    blockImage(target) {
+      const urls = this.getMediaUrls(target);
+      if (urls.length === 0) return;
+
+      this.blockedMedia = [...this.blockedMedia, ...urls];
+      this.blockMedia(target);
+      chrome.runtime
+        .sendMessage({ type: "addBlockedMedia", rules: urls })
+        .catch(() => {});
+    }
+
+    // Re-check processed media after the blocked list changed
+    updateBlockedMedia() {
+      this.queryAllRoots(".blur-shield-processed").forEach((element) => {
+        const isBlocked = this.isBlockedMedia(element);
+        if (isBlocked) {
+          this.blockMedia(element);
+        } else {
+          element.classList.remove("blur-shield-blocked");
+        }
+      });
+    }
+
+    // Unblur every processed element the user revealed before
+    restoreRevealedMedia() {
+      if (this.revealedMedia.size === 0) return;
+      this.queryAllRoots(".blur-shield-processed").forEach((element) => {
+        if (this.isRevealedMedia(element)) {
+          element.classList.add("blur-shield-unblurred");
         }
       });
     }
 
     processIntersection(entries) {
       entries.forEach((entry) => {
+        // Only media near the viewport gets its own compositing layer
+        entry.target.classList.toggle(
+          "blur-shield-layer",
+          entry.isIntersecting
+        );
+
         if (entry.isIntersecting) {
           const img = entry.target;
+
+          // Stylesheet backgrounds can change with classes or media queries
+          if (this.hasDetectedBackground(img)) {
+            this.detectBackgroundImage(img);
+          }
           if (!img.classList.contains("blur-shield-hover-ready")) {
             img.classList.add("blur-shield-hover-ready");
+            this.checkMediaSize(img, entry.boundingClientRect);
+            this.classifyElement(img);
+            this.applyDominantColor(img);
           }
+        } else if (this.reblurOffscreen) {
+          this.reblurOffscreenMedia(entry.target);
         }
       });
     }
 
+    // Media revealed for this visit is blurred again once scrolled out of
+    // view; media the user always reveals or the classifier revealed stays
+    reblurOffscreenMedia(element) {
+      if (
+        element.classList.contains("blur-shield-unblurred") &&
+        !element.classList.contains("blur-shield-auto-revealed") &&
+        !this.isRevealedMedia(element)
+      ) {
+        this.reblurImage(element);
+      }
+    }
+
+    // Hand visible media to the classifier and unblur it when it scores
+    // below the threshold. Scores are computed and cached by the background
+    // script, so the same URL is classified at most once.
+    async classifyElement(element) {
+      if (this.classifier === "off" || !this.shouldBlurBeActive()) return;
+
+      const type = this.getMediaType(element);
+      if (type !== "img" && type !== "background") return;
+      if (
+        element.classList.contains("blur-shield-unblurred") ||
+        element.classList.contains("blur-shield-small") ||
+        element.classList.contains("blur-shield-blocked")
+      ) {
+        return;
+      }
+
+      const [url] = this.getMediaUrls(element);
+      if (!url) return;
+
+      const score = await this.classifyMediaUrl(url);
+      if (
+        score !== null &&
+        score < this.classifierThreshold &&
+        !element.classList.contains("blur-shield-blocked")
+      ) {
+        element.classList.add(
+          "blur-shield-unblurred",
+          "blur-shield-auto-revealed"
+        );
+      }
+    }
+
+    classifyMediaUrl(url) {
+      return chrome.runtime
+        .sendMessage({ type: "classifyMedia", url })
+        .then((response) => response?.score ?? null)
+        .catch(() => null);
+    }
+
+    // Drop earlier classifier decisions and classify visible media again
+    reclassifyMedia() {
+      this.queryAllRoots(".blur-shield-auto-revealed").forEach((element) => {
+        element.classList.remove(
+          "blur-shield-unblurred",
+          "blur-shield-auto-revealed"
+        );
+      });
+      this.queryAllRoots(".blur-shield-hover-ready").forEach((element) => {
+        this.classifyElement(element);
+      });
+    }
+
+    // Keep icons, avatars and other tiny media sharp
+    checkMediaSize(element, rect = element.getBoundingClientRect()) {
+      const minSize = this.profile.minMediaSize;
+
+      // Unloaded images have no layout size yet, check again once loaded
+      if (rect.width === 0 && rect.height === 0) {
+        if (element.tagName === "IMG" && !element.complete) {
+          element.addEventListener("load", () => this.checkMediaSize(element), {
+            once: true,
+          });
+        }
+        return;
+      }
+
+      const isSmall =
+        minSize > 0 && (rect.width < minSize || rect.height < minSize);
+      element.classList.toggle("blur-shield-small", isSmall);
+    }
+
+    // Re-run size checks after the threshold changed
+    recheckMediaSizes() {
+      this.queryAllRoots(".blur-shield-hover-ready").forEach((img) => {
+        this.checkMediaSize(img);
+      });
+    }
+
     isImageElement(element) {
-      const tagName = element.tagName;
-      return (
-        tagName === "IMG" ||
-        tagName === "PICTURE" ||
-        tagName === "VIDEO" ||
-        tagName === "CANVAS" ||
-        tagName === "SVG" ||
+      return this.getMediaType(element) !== null;
+    }
+
+    // Map an element to its profile media type, or null if it is not media
+    getMediaType(element) {
+      // Our own nodes, such as the pixelate filter <svg>, are never media
+      if (element.hasAttribute?.("data-blur-shield")) return null;
+
+      switch (element.tagName?.toUpperCase()) {
+        case "IMG":
+        case "PICTURE":
+          return "img";
+        case "VIDEO":
+          return "video";
+        case "CANVAS":
+          return "canvas";
+        case "SVG":
+          return "svg";
+      }
+      if (
         (element.style?.backgroundImage &&
-          element.style.backgroundImage !== "none")
-      );
+          element.style.backgroundImage !== "none") ||
+        (element.classList && this.hasDetectedBackground(element))
+      ) {
+        return "background";
+      }
+      return null;
+    }
+
+    // Whether the current profile blurs this element's media type
+    isBlurredMediaType(element) {
+      const type = this.getMediaType(element);
+      return type !== null && this.profile.mediaTypes[type] === true;
     }
 
     setupEventDelegation() {
@@ -258,171 +1305,610 @@
       this.bodyElement?.addEventListener("mouseout", this.handleMouseOut, {
         passive: true,
       });
-      this.bodyElement?.addEventListener("click", this.handleClick, {
-        passive: false,
-      }); // Not passive for preventDefault
+      this.bodyElement?.addEventListener(
+        "contextmenu",
+        this.handleContextMenu,
+        { passive: true }
+      );
+      this.bodyElement?.addEventListener("focusin", this.handleFocusIn, {
+        passive: true,
+      });
+      this.bodyElement?.addEventListener("keydown", this.handleKeyDown);
+
+      // Scroll events don't bubble, catch any scrolling container in the
+      // capture phase
+      document.addEventListener("scroll", this.handleViewportChange, {
+        capture: true,
+        passive: true,
+      });
+      window.addEventListener("resize", this.handleViewportChange, {
+        passive: true,
+      });
+
+      // Media events don't bubble, catch them in the capture phase
+      document.addEventListener("play", this.handleVideoPlay, true);
+    }
+
+    // Remove the listeners added by setupEventDelegation; capture flags
+    // must match for removal to work
+    teardownEventDelegation() {
+      this.bodyElement?.removeEventListener("mouseover", this.handleMouseOver);
+      this.bodyElement?.removeEventListener("mouseout", this.handleMouseOut);
+      this.bodyElement?.removeEventListener(
+        "contextmenu",
+        this.handleContextMenu
+      );
+      this.bodyElement?.removeEventListener("focusin", this.handleFocusIn);
+      this.bodyElement?.removeEventListener("keydown", this.handleKeyDown);
+      document.removeEventListener("scroll", this.handleViewportChange, {
+        capture: true,
+      });
+      window.removeEventListener("resize", this.handleViewportChange);
+      document.removeEventListener("play", this.handleVideoPlay, true);
+    }
+
+    handleVideoPlay = (e) => {
+      const video = this.getEventTarget(e);
+      if (video.tagName === "VIDEO") {
+        this.guardVideo(video);
+      }
+    };
+
+    isVideoBlurred(video) {
+      return (
+        this.shouldBlurBeActive() &&
+        this.isBlurredMediaType(video) &&
+        !video.classList.contains("blur-shield-unblurred") &&
+        !video.classList.contains("blur-shield-small")
+      );
+    }
+
+    // Pause and mute a blurred video according to the video options
+    guardVideo(video) {
+      if (!this.isVideoBlurred(video)) return;
+
+      if (this.videoMute && !video.muted) {
+        video.muted = true;
+        video.dataset.blurShieldMuted = "";
+      }
+      if (this.videoAutoPause && !video.paused) {
+        video.pause();
+      }
+    }
+
+    // Give back the sound we took when the video is revealed
+    releaseVideo(video) {
+      if ("blurShieldMuted" in video.dataset) {
+        video.muted = false;
+        delete video.dataset.blurShieldMuted;
+      }
+    }
+
+    // Re-apply video options after blur state or settings changed
+    updateVideoGuards() {
+      this.queryAllRoots("video").forEach((video) => {
+        const isBlurred = this.isVideoBlurred(video);
+        if (!isBlurred || !this.videoMute) {
+          this.releaseVideo(video);
+        }
+        if (isBlurred) {
+          this.guardVideo(video);
+        }
+      });
+    }
+
+    // Events from open shadow roots are retargeted to the host, the real
+    // target is the first entry of the composed path
+    getEventTarget(e) {
+      return e.composedPath?.()[0] || e.target;
     }
 
     handleMouseOver = (e) => {
+      const target = this.getEventTarget(e);
+      // Tracked for the "reveal media under the pointer" command
+      this.hoveredMedia = this.isImageElement(target) ? target : null;
+
       if (!this.shouldBlurBeActive()) return;
+      if (this.profile.revealMode === "none") return;
 
-      const target = e.target;
       if (
-        this.isImageElement(target) &&
-        !target.classList.contains("blur-shield-unblurred")
+        this.isBlurredMediaType(target) &&
+        !target.classList.contains("blur-shield-small") &&
+        !target.classList.contains("blur-shield-blocked") &&
+        !target.classList.contains("blur-shield-auto-revealed")
       ) {
         this.debouncedShowHover(target, e);
       }
     };
 
     handleMouseOut = (e) => {
-      const target = e.target;
-      // Only hide if we're leaving the current target and not entering the button
+      const target = this.getEventTarget(e);
+      if (target === this.hoveredMedia) {
+        this.hoveredMedia = null;
+      }
+      // Only hide if we're leaving the current target and not entering its overlay
       if (
         target === this.currentTarget &&
-        !e.relatedTarget?.classList?.contains("blur-shield-hover-btn")
+        !e.relatedTarget?.closest?.(".blur-shield-overlay")
       ) {
-        this.hideHoverButton();
+        this.hideOverlay();
       }
     };
 
-    handleClick = (e) => {
-      // Only handle clicks outside the button for re-blurring
-      if (!e.target.closest(".blur-shield-hover-btn")) {
-        this.reblurCurrentImage();
-        this.hideHoverButton();
+    // Keyboard focus on media shows its overlay like hovering does
+    handleFocusIn = (e) => {
+      const target = this.getEventTarget(e);
+      if (
+        this.shouldBlurBeActive() &&
+        this.profile.revealMode !== "none" &&
+        target.classList?.contains("blur-shield-processed") &&
+        this.isBlurredMediaType(target) &&
+        !target.classList.contains("blur-shield-small") &&
+        !target.classList.contains("blur-shield-blocked")
+      ) {
+        this.showOverlay(target);
       }
     };
 
+    // Enter or Space on focused media reveals it, or blurs it again; the
+    // down arrow moves focus into its overlay
+    handleKeyDown = (e) => {
+      const target = this.getEventTarget(e);
+      if (
+        !this.shouldBlurBeActive() ||
+        !target.classList?.contains("blur-shield-processed") ||
+        !this.isBlurredMediaType(target) ||
+        target.classList.contains("blur-shield-blocked")
+      ) {
+        return;
+      }
+
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        const revealed = target.classList.contains("blur-shield-unblurred");
+        this.performAction(revealed ? "reblur" : "reveal", target);
+      } else if (e.key === "ArrowDown" && target === this.currentTarget) {
+        e.preventDefault();
+        this.overlays.get(target)?.querySelector("button")?.focus();
+      }
+    };
+
+    // Remember what was right-clicked for the context menu actions
+    handleContextMenu = (e) => {
+      this.contextTarget = this.findMediaElement(this.getEventTarget(e));
+    };
+
+    // Keep the visible overlay on its media while anything scrolls
+    handleViewportChange = () => {
+      if (!this.currentTarget || this.overlayFrame) return;
+
+      this.overlayFrame = requestAnimationFrame(() => {
+        this.overlayFrame = null;
+        this.positionOverlay();
+      });
+    };
+
+    findMediaElement(element) {
+      let node = element;
+      while (node?.nodeType === 1 && !this.isImageElement(node)) {
+        node = node.parentElement;
+      }
+      return node?.nodeType === 1 ? node : null;
+    }
+
     debouncedShowHover(target, event) {
       if (this.hoverDebounce) return;
 
       this.hoverDebounce = requestAnimationFrame(() => {
-        this.showHoverButton(target, event);
+        this.showOverlay(target);
         this.hoverDebounce = null;
       });
     }
 
-    createHoverButton() {
-      this.hoverBtn = document.createElement("div");
-      this.hoverBtn.className = "blur-shield-hover-btn";
-      this.hoverBtn.innerHTML = "👁️ Show Image";
-      this.hoverBtn.style.display = "none";
+    // Each media element gets its own overlay, created on first hover and
+    // attached to the document only while it is shown
+    getOverlay(target) {
+      let overlay = this.overlays.get(target);
+      if (!overlay) {
+        overlay = this.createOverlay(target);
+        this.overlays.set(target, overlay);
+      }
+      return overlay;
+    }
+
+    createOverlay(target) {
+      const overlay = document.createElement("div");
+      overlay.className = "blur-shield-overlay";
+      overlay.setAttribute("role", "toolbar");
+      overlay.setAttribute(
+        "aria-label",
+        t(
+          target.tagName === "VIDEO" ? "overlayLabelVideo" : "overlayLabelImage"
+        )
+      );
+      // Our strings, so the browser's language and direction, not the page's
+      overlay.lang = BlurShieldI18n.getLanguage();
+      overlay.dir = BlurShieldI18n.getDirection();
 
-      // Add click handler directly to the button
-      this.hoverBtn.addEventListener(
+      overlay.addEventListener(
         "click",
         (e) => {
           e.preventDefault();
           e.stopPropagation();
-          this.unblurCurrentImage();
+          const action = e.target.closest("[data-action]")?.dataset.action;
+          if (action && action !== "peek") {
+            this.performAction(action, target);
+          }
         },
         { passive: false }
       );
 
-      // Prevent button from hiding when hovering over it
-      this.hoverBtn.addEventListener("mouseenter", (e) => {
-        e.stopPropagation();
+      // Peek reveals the video only while the pointer is held down
+      overlay.addEventListener("pointerdown", (e) => {
+        const action = e.target.closest("[data-action]")?.dataset.action;
+        if (action === "peek") {
+          e.preventDefault();
+          this.startPeek(target);
+        }
       });
 
-      // Append to body when available
-      if (this.bodyElement) {
-        this.bodyElement.appendChild(this.hoverBtn);
-      } else {
-        document.addEventListener(
-          "DOMContentLoaded",
-          () => {
-            document.body.appendChild(this.hoverBtn);
-          },
-          { once: true }
+      // Toolbar keys: arrows move between actions, Escape goes back to
+      // the media
+      overlay.addEventListener("keydown", (e) => {
+        const buttons = [...overlay.querySelectorAll("button")];
+        const index = buttons.indexOf(e.target);
+        if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+          e.preventDefault();
+          // Actions run right to left in RTL languages
+          const forward = overlay.dir === "rtl" ? "ArrowLeft" : "ArrowRight";
+          const step = e.key === forward ? 1 : -1;
+          buttons[(index + step + buttons.length) % buttons.length]?.focus();
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          target.focus({ preventScroll: true });
+        }
+      });
+
+      // Hide when focus moves anywhere but the media
+      overlay.addEventListener("focusout", (e) => {
+        const related = e.relatedTarget;
+        if (!overlay.contains(related) && related !== target) {
+          this.hideOverlay();
+        }
+      });
+
+      // Hide when the pointer leaves for anything but the media itself
+      // (media inside a shadow root is seen as its host)
+      overlay.addEventListener("mouseleave", (e) => {
+        const related = e.relatedTarget;
+        if (related !== target && related !== target.getRootNode().host) {
+          this.hideOverlay();
+        }
+      });
+
+      return overlay;
+    }
+
+    renderOverlayActions(overlay, target) {
+      // Revealed media only offers to blur it again
+      if (target.classList.contains("blur-shield-unblurred")) {
+        overlay.replaceChildren(
+          this.createActionButton("reblur", "🙈", t("actionReblur"))
         );
+        return;
       }
+
+      const isVideo = target.tagName === "VIDEO";
+      // Remembering and blocking need a URL
+      const hasUrl = this.getMediaUrls(target).length > 0;
+
+      const actions = [
+        ["reveal", "👁️", t(isVideo ? "actionShowVideo" : "actionShowImage")],
+        ["reveal-timed", "⏱️", t("actionShowTimed", this.revealSeconds)],
+        isVideo && ["peek", "👆", t("actionPeek")],
+        hasUrl && ["always-reveal", "📌", t("actionAlwaysShow")],
+        hasUrl && ["block", "🚫", t("actionAlwaysHide")],
+        ["trust-site", "✅", t("actionTrustSite")],
+      ].filter(Boolean);
+
+      overlay.replaceChildren(
+        ...actions.map(([action, icon, label]) =>
+          this.createActionButton(action, icon, label)
+        )
+      );
     }
 
-    showHoverButton(target, event) {
-      if (!this.hoverBtn) return;
+    createActionButton(action, icon, label) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "blur-shield-action";
+      button.dataset.action = action;
+
+      // Screen readers announce the label without the icon
+      const iconElement = document.createElement("span");
+      iconElement.setAttribute("aria-hidden", "true");
+      iconElement.textContent = icon + " ";
+      button.append(iconElement, label);
+      return button;
+    }
+
+    startPeek(target) {
+      target.classList.add("blur-shield-peek");
+
+      const endPeek = () => {
+        target.classList.remove("blur-shield-peek");
+        document.removeEventListener("pointerup", endPeek, true);
+        document.removeEventListener("pointercancel", endPeek, true);
+      };
 
+      document.addEventListener("pointerup", endPeek, true);
+      document.addEventListener("pointercancel", endPeek, true);
+    }
+
+    showOverlay(target) {
+      const parent = this.bodyElement || document.body;
+      if (!parent) return;
+
+      if (this.currentTarget !== target) {
+        this.hideOverlay();
+      }
       this.currentTarget = target;
-      this.hoverBtn.style.display = "block";
 
-      // Position button in the center of the image
+      // Actions depend on whether the media is revealed, so render them
+      // every time the overlay is attached
+      const overlay = this.getOverlay(target);
+      if (!overlay.isConnected) {
+        this.renderOverlayActions(overlay, target);
+        parent.appendChild(overlay);
+      }
+      this.positionOverlay();
+    }
+
+    // Overlays are fixed to the viewport and placed from the media's client
+    // rect, which already accounts for scrolled containers and transforms
+    positionOverlay() {
+      const target = this.currentTarget;
+      const overlay = target && this.overlays.get(target);
+      if (!overlay?.isConnected) return;
+
       const rect = target.getBoundingClientRect();
-      const scrollTop =
-        window.pageYOffset || document.documentElement.scrollTop;
-      const scrollLeft =
-        window.pageXOffset || document.documentElement.scrollLeft;
-
-      // Calculate center position
-      const centerX = rect.left + scrollLeft + rect.width / 2;
-      const centerY = rect.top + scrollTop + rect.height / 2;
-
-      // Position the button (transform: translate(-50%, -50%) centers it)
-      this.hoverBtn.style.left = centerX + "px";
-      this.hoverBtn.style.top = centerY + "px";
-
-      // Ensure button stays within viewport
-      requestAnimationFrame(() => {
-        const btnRect = this.hoverBtn.getBoundingClientRect();
-        const viewportWidth = window.innerWidth;
-        const viewportHeight = window.innerHeight;
-
-        let adjustedX = centerX;
-        let adjustedY = centerY;
-
-        // Adjust if button would go outside viewport
-        if (btnRect.right > viewportWidth) {
-          adjustedX = viewportWidth - btnRect.width / 2 - 10 + scrollLeft;
-        }
-        if (btnRect.left < 0) {
-          adjustedX = btnRect.width / 2 + 10 + scrollLeft;
-        }
-        if (btnRect.bottom > viewportHeight) {
-          adjustedY = viewportHeight - btnRect.height / 2 - 10 + scrollTop;
-        }
-        if (btnRect.top < 0) {
-          adjustedY = btnRect.height / 2 + 10 + scrollTop;
-        }
+      const viewportWidth = window.innerWidth;
+      const viewportHeight = window.innerHeight;
 
-        this.hoverBtn.style.left = adjustedX + "px";
-        this.hoverBtn.style.top = adjustedY + "px";
-      });
+      // Hide once the media is gone or scrolled out of view
+      if (
+        !target.isConnected ||
+        rect.bottom <= 0 ||
+        rect.right <= 0 ||
+        rect.top >= viewportHeight ||
+        rect.left >= viewportWidth
+      ) {
+        this.hideOverlay();
+        return;
+      }
+
+      // Center on the visible part of the media
+      const visibleLeft = Math.max(rect.left, 0);
+      const visibleTop = Math.max(rect.top, 0);
+      const visibleRight = Math.min(rect.right, viewportWidth);
+      const visibleBottom = Math.min(rect.bottom, viewportHeight);
+
+      // Ensure overlay stays within viewport
+      const overlayRect = overlay.getBoundingClientRect();
+      const halfWidth = overlayRect.width / 2 + 10;
+      const halfHeight = overlayRect.height / 2 + 10;
+      const clamp = (value, min, max) =>
+        Math.min(Math.max(value, min), Math.max(min, max));
+
+      // Revealed media keeps its overlay in the top right corner, out of
+      // the way of the content
+      const revealed = target.classList.contains("blur-shield-unblurred");
+      const centerX = clamp(
+        revealed ? visibleRight - halfWidth : (visibleLeft + visibleRight) / 2,
+        halfWidth,
+        viewportWidth - halfWidth
+      );
+      const centerY = clamp(
+        revealed ? visibleTop + halfHeight : (visibleTop + visibleBottom) / 2,
+        halfHeight,
+        viewportHeight - halfHeight
+      );
+
+      // transform: translate(-50%, -50%) centers it
+      overlay.style.left = centerX + "px";
+      overlay.style.top = centerY + "px";
     }
 
-    hideHoverButton() {
-      if (this.hoverBtn) {
-        this.hoverBtn.style.display = "none";
-      }
+    hideOverlay() {
+      const target = this.currentTarget;
+      const overlay = target && this.overlays.get(target);
       this.currentTarget = null;
+      if (!overlay) return;
+
+      // Don't strand keyboard focus on a detached overlay
+      const hadFocus = overlay.contains(document.activeElement);
+      overlay.remove();
+      if (hadFocus && target.isConnected) {
+        target.focus({ preventScroll: true });
+      }
     }
 
-    unblurCurrentImage() {
-      if (this.currentTarget) {
-        this.currentTarget.classList.add("blur-shield-unblurred");
-        this.hideHoverButton();
+    // Run an overlay or context menu action on a media element
+    performAction(action, target) {
+      switch (action) {
+        case "reveal":
+          this.unblurImage(target);
+          break;
+        case "reveal-timed":
+          this.revealTemporarily(target);
+          break;
+        case "always-reveal":
+          this.unblurImage(target, { remember: true });
+          break;
+        case "block":
+          this.blockImage(target);
+          break;
+        case "trust-site":
+          this.trustCurrentSite();
+          break;
+        case "reblur":
+          // Blurring again also stops always revealing it
+          this.reblurImage(target);
+          this.forgetRevealedMedia(target);
+          break;
+      }
 
-        // Optional: Add a brief visual feedback
-        if (this.hoverBtn) {
-          this.hoverBtn.innerHTML = "✓ Unblurred";
-          setTimeout(() => {
-            if (this.hoverBtn) {
-              this.hoverBtn.innerHTML = "👁️ Show Image";
-            }
-          }, 1000);
+      if (target === this.currentTarget) {
+        this.hideOverlay();
+      }
+    }
+
+    unblurImage(target, { remember = false } = {}) {
+      if (!target) return;
+
+      this.cancelReblur(target);
+      if (!target.classList.contains("blur-shield-unblurred")) {
+        this.recordStat("revealed");
+      }
+      target.classList.add("blur-shield-unblurred");
+      if (remember) {
+        this.rememberRevealedMedia(target);
+      } else if (this.autoReblurSeconds > 0) {
+        this.scheduleReblur(target, this.autoReblurSeconds);
+      }
+      if (target.tagName === "VIDEO") {
+        this.releaseVideo(target);
+      }
+    }
+
+    // Reveal for the configured number of seconds, then blur again
+    revealTemporarily(target) {
+      this.unblurImage(target);
+      this.scheduleReblur(target, this.revealSeconds);
+    }
+
+    scheduleReblur(target, seconds) {
+      this.cancelReblur(target);
+      this.revealTimers.set(
+        target,
+        setTimeout(() => {
+          this.revealTimers.delete(target);
+          this.reblurImage(target);
+        }, seconds * 1000)
+      );
+    }
+
+    cancelReblur(target) {
+      clearTimeout(this.revealTimers.get(target));
+      this.revealTimers.delete(target);
+    }
+
+    reblurImage(target) {
+      if (!target) return;
+
+      this.cancelReblur(target);
+      if (target.classList.contains("blur-shield-unblurred")) {
+        target.classList.remove("blur-shield-unblurred");
+        if (target.tagName === "VIDEO") {
+          this.guardVideo(target);
         }
       }
     }
 
-    reblurCurrentImage() {
+    // Reveal the media under the pointer, from the keyboard command
+    revealHoveredMedia() {
+      const target = this.hoveredMedia;
       if (
-        this.currentTarget &&
-        this.currentTarget.classList.contains("blur-shield-unblurred")
+        target?.isConnected &&
+        this.shouldBlurBeActive() &&
+        !target.classList.contains("blur-shield-unblurred") &&
+        !target.classList.contains("blur-shield-blocked")
       ) {
-        this.currentTarget.classList.remove("blur-shield-unblurred");
+        this.performAction("reveal", target);
+      }
+    }
+
+    // Blur every revealed element on the page again, except media the
+    // classifier revealed
+    reblurAll() {
+      this.queryAllRoots(USER_REVEALED_SELECTOR).forEach((element) =>
+        this.reblurImage(element)
+      );
+      this.hideOverlay();
+    }
+
+    // Count a usage event; counts are batched to keep messaging cheap
+    recordStat(kind) {
+      this.pageStats[kind]++;
+      this.pendingStats[kind]++;
+      if (!this.statsTimer) {
+        this.statsTimer = setTimeout(this.flushStats, STATS_FLUSH_DELAY);
+      }
+    }
+
+    // Rounded timings plus the current work load, for the popup
+    getTiming() {
+      const { scanMs, batches, batchMs, maxBatchMs, mediaCount } = this.timing;
+      return {
+        scanMs: Math.round(scanMs),
+        batches,
+        averageBatchMs: batches ? Math.round((batchMs / batches) * 10) / 10 : 0,
+        maxBatchMs: Math.round(maxBatchMs),
+        mediaCount,
+        layers: this.queryAllRoots(".blur-shield-layer").length,
+        pendingMutations: this.pendingMutations.length,
+        pendingScans: this.pendingScans.length,
+      };
+    }
+
+    flushStats = () => {
+      clearTimeout(this.statsTimer);
+      this.statsTimer = null;
+
+      const { blurred, revealed } = this.pendingStats;
+      if (blurred === 0 && revealed === 0) return;
+      this.pendingStats = { blurred: 0, revealed: 0 };
+
+      chrome.runtime
+        .sendMessage({ type: "recordStats", blurred, revealed })
+        .catch(() => {});
+    };
+
+    trustCurrentSite() {
+      chrome.runtime
+        .sendMessage({ type: "trustSite", url: location.href })
+        .then((response) => {
+          if (response?.locked) {
+            this.showNotification(t("notifyLocked"));
+          }
+        })
+        .catch(() => {});
+    }
+
+    // Context menu actions arrive from the background script with the
+    // clicked media URL; prefer the element that was right-clicked
+    handleContextMenuAction(action, srcUrl) {
+      let target = this.contextTarget?.isConnected ? this.contextTarget : null;
+      if (!target && srcUrl) {
+        target = this.queryAllRoots("img, video").find(
+          (element) => element.currentSrc === srcUrl || element.src === srcUrl
+        );
+      }
+      if (target || action === "trust-site") {
+        this.performAction(action, target);
       }
     }
 
     // Show visual feedback when toggling blur state
     showToggleNotification(isBlurring) {
+      this.showNotification(
+        t(isBlurring ? "notifyBlurEnabled" : "notifyBlurDisabled")
+      );
+    }
+
+    // Brief status message in the top corner, right or left following the
+    // UI language's direction
+    showNotification(text) {
       // Remove any existing notifications
       const existing = document.querySelector(".blur-shield-notification");
       if (existing) {
@@ -432,10 +1918,13 @@
       // Create notification
       const notification = document.createElement("div");
       notification.className = "blur-shield-notification";
+      notification.setAttribute("role", "status");
+      notification.lang = BlurShieldI18n.getLanguage();
+      notification.dir = BlurShieldI18n.getDirection();
       notification.style.cssText = `
         position: fixed;
         top: 20px;
-        right: 20px;
+        inset-inline-end: 20px;
         background: rgba(0, 0, 0, 0.9);
         color: white;
         padding: 12px 20px;
@@ -450,16 +1939,15 @@
         animation: slideIn 0.3s ease-out;
       `;
 
-      notification.innerHTML = isBlurring
-        ? "🛡️ Blur Shield Enabled"
-        : "👁️ Blur Shield Disabled";
+      notification.textContent = text;
 
-      // Add animation styles
+      // Add animation styles, sliding in from the notification's side
+      const offset = notification.dir === "rtl" ? "-100%" : "100%";
       const style = document.createElement("style");
       style.textContent = `
         @keyframes slideIn {
           from {
-            transform: translateX(100%);
+            transform: translateX(${offset});
             opacity: 0;
           }
           to {
@@ -500,10 +1988,58 @@
               );
             } else if (message.type === "toggleBlur") {
               this.handleToggleBlur(message.forceState);
+            } else if (message.type === "reblurAll") {
+              this.reblurAll();
+            } else if (message.type === "revealHoveredMedia") {
+              this.revealHoveredMedia();
+            } else if (message.type === "showNotification") {
+              this.showNotification(message.text);
+            } else if (message.type === "contextMenuAction") {
+              this.handleContextMenuAction(message.action, message.srcUrl);
+            } else if (message.type === "getPageStats") {
+              sendResponse({ ...this.pageStats, timing: this.getTiming() });
+            } else if (message.type === "locationChanged") {
+              this.handleLocationChange();
             }
           }
         );
       }
+
+      // Single-page apps change the URL without a new document. The
+      // background reports pushState navigations; back and forward are
+      // seen here as well.
+      window.addEventListener("popstate", () => this.handleLocationChange());
+      window.navigation?.addEventListener("navigatesuccess", () =>
+        this.handleLocationChange()
+      );
+
+      // Keep the remembered reveals in sync, e.g. when cleared from the popup
+      if (typeof chrome !== "undefined" && chrome.storage?.onChanged) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+          if (areaName !== "local") return;
+
+          if (changes.revealedMedia) {
+            this.revealedMedia = new Set(
+              BlurShieldMediaRules.getActiveReveals(
+                changes.revealedMedia.newValue
+              )
+            );
+          }
+          if (changes.blockedMedia) {
+            this.blockedMedia = changes.blockedMedia.newValue || [];
+            this.updateBlockedMedia();
+            // Blocked media is watched for even where blur is off
+            this.updateActivation();
+          }
+        });
+      }
+    }
+
+    // Path and regex rules, site profiles and schedules' trusted sites are
+    // matched against the URL, so read the settings again for the new one
+    handleLocationChange() {
+      if (!this.isInitialized || location.href === this.settingsUrl) return;
+      this.handleSettingsChange(this.storedSettings, this.tabForceState);
     }
 
     handleToggleBlur(forceState) {
@@ -514,45 +2050,58 @@
       const isBlurring = this.shouldBlurBeActive();
       this.showToggleNotification(isBlurring);
 
-      // Clean up unblurred images if blurring is now active
+      // Clean up unblurred images if blurring is now active, keeping
+      // the ones the user chose to always reveal
       if (isBlurring) {
-        document.querySelectorAll(".blur-shield-unblurred").forEach((img) => {
+        this.queryAllRoots(USER_REVEALED_SELECTOR).forEach((img) => {
+          this.cancelReblur(img);
           img.classList.remove("blur-shield-unblurred");
         });
-        this.hideHoverButton();
+        this.restoreRevealedMedia();
+        this.hideOverlay();
       }
 
-      // Reinitialize observers if needed
-      if (isBlurring && !this.intersectionObserver) {
-        this.setupOptimizedObservers();
-        this.setupEventDelegation();
-        this.createHoverButton();
-      }
+      this.updateVideoGuards();
+      this.updateActivation();
     }
 
     handleSettingsChange(settings, tabForceState) {
-      this.isEnabled = settings.isEnabled;
-      this.blurIntensity = settings.blurIntensity;
-      this.whitelist = settings.whitelist;
-      this.tabForceState = tabForceState;
-
-      // Recalculate whitelist status
-      this.isWhitelisted = this.whitelist.some(
-        (domain) =>
-          this.currentDomain.includes(domain) ||
-          domain.includes(this.currentDomain)
-      );
+      const previousMinSize = this.profile.minMediaSize;
+      const previousStyle = this.profile.blurStyle;
+      const previousClassifier = `${this.classifier} ${this.classifierThreshold}`;
+      this.readSettings(settings, tabForceState);
 
       // Apply new settings immediately
       this.applySettings();
 
+      if (this.profile.minMediaSize !== previousMinSize) {
+        this.recheckMediaSizes();
+      }
+
+      if (this.profile.blurStyle !== previousStyle) {
+        this.queryAllRoots(".blur-shield-hover-ready").forEach((element) =>
+          this.applyDominantColor(element)
+        );
+      }
+
+      if (
+        `${this.classifier} ${this.classifierThreshold}` !== previousClassifier
+      ) {
+        this.reclassifyMedia();
+      }
+
       // Clean up unblurred images if needed
       if (!this.shouldBlurBeActive()) {
-        document.querySelectorAll(".blur-shield-unblurred").forEach((img) => {
+        this.queryAllRoots(USER_REVEALED_SELECTOR).forEach((img) => {
+          this.cancelReblur(img);
           img.classList.remove("blur-shield-unblurred");
         });
-        this.hideHoverButton();
+        this.restoreRevealedMedia();
+        this.hideOverlay();
       }
+
+      this.updateVideoGuards();
+      this.updateActivation();
     }
   }
 
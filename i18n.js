@@ -0,0 +1,50 @@
+// Localized strings from the _locales catalogs, shared by the background
+// script, the content script and the popup. In-page UI follows the
+// browser's language and direction, not the page's.
+(function (root) {
+  "use strict";
+
+  // Message for a key with $1-style substitutions. A missing entry shows
+  // its key rather than leaving the UI blank.
+  function getMessage(key, substitutions) {
+    const values =
+      substitutions === undefined
+        ? undefined
+        : [].concat(substitutions).map(String);
+    return root.chrome?.i18n?.getMessage(key, values) || key;
+  }
+
+  function getLanguage() {
+    return root.chrome?.i18n?.getUILanguage?.() || "en";
+  }
+
+  function getDirection() {
+    return root.chrome?.i18n?.getMessage("@@bidi_dir") === "rtl"
+      ? "rtl"
+      : "ltr";
+  }
+
+  // Fill in a page's static text: data-i18n sets the text content,
+  // data-i18n-placeholder and data-i18n-title the matching attributes
+  function localizePage(doc = document) {
+    doc.documentElement.lang = getLanguage();
+    doc.documentElement.dir = getDirection();
+
+    doc.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = getMessage(element.dataset.i18n);
+    });
+    doc.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+      element.placeholder = getMessage(element.dataset.i18nPlaceholder);
+    });
+    doc.querySelectorAll("[data-i18n-title]").forEach((element) => {
+      element.title = getMessage(element.dataset.i18nTitle);
+    });
+  }
+
+  root.BlurShieldI18n = {
+    getMessage,
+    getLanguage,
+    getDirection,
+    localizePage,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,103 @@
+// Shared blocked-media rule matching used by the content script and the popup.
+// Rules are stored as plain strings:
+//   "cdn.example.com/ads/"     URL prefix (scheme is ignored)
+//   "*.example.com/*/banner*"  glob, "*" matches any run of characters
+//   "/\/ads?\/.*\.gif$/i"      regular expression tested against the full URL
+(function (root) {
+  "use strict";
+
+  // Compiled rules are cached by their raw string
+  const ruleCache = new Map();
+
+  function stripScheme(url) {
+    return url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+  }
+
+  function parseMediaRule(raw) {
+    if (typeof raw !== "string") return null;
+    const value = raw.trim();
+    if (!value) return null;
+
+    if (ruleCache.has(value)) return ruleCache.get(value);
+
+    let rule = null;
+
+    if (
+      value.length > 2 &&
+      value.startsWith("/") &&
+      value.lastIndexOf("/") > 0
+    ) {
+      const lastSlash = value.lastIndexOf("/");
+      try {
+        rule = {
+          type: "regex",
+          raw: value,
+          regex: new RegExp(
+            value.slice(1, lastSlash),
+            value.slice(lastSlash + 1)
+          ),
+        };
+      } catch (error) {
+        rule = null;
+      }
+    } else if (value.includes("*")) {
+      const source = stripScheme(value).split("*").map(escapeRegExp).join(".*");
+      rule = { type: "glob", raw: value, regex: new RegExp("^" + source, "i") };
+    } else {
+      rule = {
+        type: "prefix",
+        raw: value,
+        prefix: stripScheme(value).toLowerCase(),
+      };
+    }
+
+    ruleCache.set(value, rule);
+    return rule;
+  }
+
+  function mediaRuleMatches(raw, url) {
+    const rule = parseMediaRule(raw);
+    if (!rule || !url) return false;
+
+    switch (rule.type) {
+      case "regex":
+        rule.regex.lastIndex = 0;
+        return rule.regex.test(url);
+      case "glob":
+        return rule.regex.test(stripScheme(url));
+      default:
+        return stripScheme(url).toLowerCase().startsWith(rule.prefix);
+    }
+  }
+
+  function matchesAnyMediaRule(rules, url) {
+    if (!Array.isArray(rules) || rules.length === 0) return false;
+    return rules.some((raw) => mediaRuleMatches(raw, url));
+  }
+
+  function isValidMediaRule(raw) {
+    return parseMediaRule(raw) !== null;
+  }
+
+  // Remembered reveals (normalized media URL -> last reveal time) stop
+  // applying after this long, even before the background prunes them
+  const REVEALED_MEDIA_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+  function getActiveReveals(media) {
+    const cutoff = Date.now() - REVEALED_MEDIA_MAX_AGE;
+    return Object.keys(media || {}).filter((url) => media[url] > cutoff);
+  }
+
+  root.BlurShieldMediaRules = {
+    REVEALED_MEDIA_MAX_AGE,
+    parseMediaRule,
+    mediaRuleMatches,
+    matchesAnyMediaRule,
+    isValidMediaRule,
+    getActiveReveals,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
@@ -0,0 +1,1060 @@
+// Full-page editor for the site lists, for rule sets too large to manage
+// from the popup. Reads and writes settings through the background script.
+const t = BlurShieldI18n.getMessage;
+
+const RULE_TYPE_LABELS = {
+  exact: t("ruleExact"),
+  wildcard: t("ruleWildcard"),
+  path: t("rulePath"),
+  regex: t("ruleRegex"),
+};
+
+const UNDO_TIMEOUT = 8000; // ms the undo bar stays visible
+
+const DAY_NAMES = [
+  t("daySun"),
+  t("dayMon"),
+  t("dayTue"),
+  t("dayWed"),
+  t("dayThu"),
+  t("dayFri"),
+  t("daySat"),
+];
+
+// Sites revealed at least this often, and for this share of their blurred
+// media, are suggested as trusted sites
+const SUGGEST_MIN_REVEALS = 5;
+const SUGGEST_REVEAL_RATE = 0.5;
+
+const STATS_SITE_LIMIT = 25; // sites listed in the usage history
+
+class OptionsPageController {
+  constructor() {
+    this.settings = null;
+    this.savedSettings = null; // settings as last loaded or sent
+    this.blockedMedia = []; // exported and imported with the settings
+    this.listKey = "whitelist";
+    this.selected = new Set(); // rules checked for bulk removal
+    this.editing = null; // rule being edited inline
+    this.undoStack = []; // { listKey, removed: [{ rule, index }] }
+    this.undoTimeout = null;
+    this.lockState = { enabled: false, unlocked: true };
+    this.usageStats = {}; // day -> hostname -> { blurred, revealed }
+    this.elements = {};
+
+    BlurShieldI18n.localizePage();
+    this.cacheElements();
+    this.init();
+  }
+
+  cacheElements() {
+    this.elements = {
+      tabs: document.querySelectorAll("[data-list]"),
+      whitelistCount: document.getElementById("whitelistCount"),
+      blocklistCount: document.getElementById("blocklistCount"),
+      modeNote: document.getElementById("modeNote"),
+      bulkInput: document.getElementById("bulkInput"),
+      bulkType: document.getElementById("bulkType"),
+      bulkAdd: document.getElementById("bulkAdd"),
+      bulkStatus: document.getElementById("bulkStatus"),
+      search: document.getElementById("search"),
+      sortOrder: document.getElementById("sortOrder"),
+      groupByType: document.getElementById("groupByType"),
+      selectAll: document.getElementById("selectAll"),
+      removeSelected: document.getElementById("removeSelected"),
+      listSummary: document.getElementById("listSummary"),
+      ruleList: document.getElementById("ruleList"),
+      undoBar: document.getElementById("undoBar"),
+      undoText: document.getElementById("undoText"),
+      saveError: document.getElementById("saveError"),
+      undoButton: document.getElementById("undoButton"),
+      scheduleList: document.getElementById("scheduleList"),
+      scheduleName: document.getElementById("scheduleName"),
+      scheduleStart: document.getElementById("scheduleStart"),
+      scheduleEnd: document.getElementById("scheduleEnd"),
+      scheduleDays: document.getElementById("scheduleDays"),
+      scheduleEffect: document.getElementById("scheduleEffect"),
+      scheduleValue: document.getElementById("scheduleValue"),
+      addSchedule: document.getElementById("addSchedule"),
+      scheduleFormStatus: document.getElementById("scheduleFormStatus"),
+      statsRange: document.getElementById("statsRange"),
+      clearStats: document.getElementById("clearStats"),
+      statsSummary: document.getElementById("statsSummary"),
+      statsDays: document.getElementById("statsDays"),
+      statsSites: document.getElementById("statsSites"),
+      lockStatus: document.getElementById("lockStatus"),
+      currentPin: document.getElementById("currentPin"),
+      newPin: document.getElementById("newPin"),
+      unlockSettings: document.getElementById("unlockSettings"),
+      lockSettings: document.getElementById("lockSettings"),
+      setPin: document.getElementById("setPin"),
+      removePin: document.getElementById("removePin"),
+      pinStatus: document.getElementById("pinStatus"),
+      importStrategy: document.getElementById("importStrategy"),
+      exportConfig: document.getElementById("exportConfig"),
+      importConfig: document.getElementById("importConfig"),
+      importFile: document.getElementById("importFile"),
+      importStatus: document.getElementById("importStatus"),
+    };
+  }
+
+  async init() {
+    await Promise.all([
+      this.loadSettings(),
+      this.loadLockState(),
+      this.loadUsageStats(),
+      this.loadBlockedMedia(),
+    ]);
+    // Start on the list the current mode uses
+    this.listKey =
+      this.settings.mode === "blocklist" ? "blocklist" : "whitelist";
+
+    this.setupEventListeners();
+    this.updateScheduleFormUI();
+    this.updateLockUI();
+    this.renderStats();
+    this.render();
+  }
+
+  loadSettings() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getSettings" }, (response) => {
+        // The per-tab state is not a setting
+        const { tabForceState, ...settings } = response || {};
+        this.settings = {
+          ...settings,
+          whitelist: settings.whitelist || [],
+          blocklist: settings.blocklist || [],
+          schedules: settings.schedules || [],
+        };
+        this.savedSettings = structuredClone(this.settings);
+        resolve(this.settings);
+      });
+    });
+  }
+
+  loadUsageStats() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getUsageStats" }, (response) => {
+        this.usageStats = response?.stats || {};
+        resolve(this.usageStats);
+      });
+    });
+  }
+
+  loadBlockedMedia() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getBlockedMedia" }, (response) => {
+        this.blockedMedia = response?.rules || [];
+        resolve(this.blockedMedia);
+      });
+    });
+  }
+
+  loadLockState() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getLockState" }, (state) => {
+        this.lockState = state || { enabled: false, unlocked: true };
+        resolve(this.lockState);
+      });
+    });
+  }
+
+  setupEventListeners() {
+    this.elements.tabs.forEach((tab) => {
+      tab.addEventListener("click", () => {
+        this.listKey = tab.dataset.list;
+        this.selected.clear();
+        this.editing = null;
+        this.render();
+      });
+    });
+
+    this.elements.bulkAdd.addEventListener("click", () => this.bulkAdd());
+
+    this.elements.search.addEventListener("input", () => this.render());
+    this.elements.sortOrder.addEventListener("change", () => this.render());
+    this.elements.groupByType.addEventListener("change", () => this.render());
+
+    this.elements.selectAll.addEventListener("change", (e) => {
+      this.getVisibleRules().forEach(({ rule }) => {
+        if (e.target.checked) {
+          this.selected.add(rule);
+        } else {
+          this.selected.delete(rule);
+        }
+      });
+      this.render();
+    });
+
+    this.elements.removeSelected.addEventListener("click", () =>
+      this.removeRules([...this.selected])
+    );
+
+    // One delegated listener for every row
+    this.elements.ruleList.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action]");
+      if (!button) return;
+
+      const rule = button.dataset.rule;
+      switch (button.dataset.action) {
+        case "edit":
+          this.editing = rule;
+          this.render();
+          break;
+        case "save":
+          this.commitEdit(rule);
+          break;
+        case "cancel":
+          this.editing = null;
+          this.render();
+          break;
+        case "remove":
+          this.removeRules([rule]);
+          break;
+      }
+    });
+
+    this.elements.ruleList.addEventListener("change", (e) => {
+      if (e.target.type !== "checkbox") return;
+      if (e.target.checked) {
+        this.selected.add(e.target.dataset.rule);
+      } else {
+        this.selected.delete(e.target.dataset.rule);
+      }
+      this.updateSelectionUI();
+    });
+
+    this.elements.ruleList.addEventListener("keydown", (e) => {
+      if (!e.target.classList.contains("rule-edit")) return;
+      if (e.key === "Enter") {
+        this.commitEdit(e.target.dataset.rule);
+      } else if (e.key === "Escape") {
+        this.editing = null;
+        this.render();
+      }
+    });
+
+    this.elements.undoButton.addEventListener("click", () => this.undo());
+
+    // Schedules
+    this.elements.scheduleEffect.addEventListener("change", () =>
+      this.updateScheduleFormUI()
+    );
+    this.elements.addSchedule.addEventListener("click", () =>
+      this.addSchedule()
+    );
+    this.elements.scheduleList.addEventListener("click", (e) => {
+      const id = e.target.dataset.schedule;
+      if (id && e.target.dataset.action === "remove-schedule") {
+        this.settings.schedules = this.settings.schedules.filter(
+          (schedule) => schedule.id !== id
+        );
+        this.saveSettings();
+        this.renderSchedules();
+      }
+    });
+    this.elements.scheduleList.addEventListener("change", (e) => {
+      const id = e.target.dataset.schedule;
+      if (!id) return;
+      this.settings.schedules = this.settings.schedules.map((schedule) =>
+        schedule.id === id
+          ? { ...schedule, enabled: e.target.checked }
+          : schedule
+      );
+      this.saveSettings();
+      this.renderSchedules();
+    });
+
+    // Ctrl+Z outside text fields undoes the last removal
+    document.addEventListener("keydown", (e) => {
+      const inField = e.target.matches("input, textarea, select");
+      if (!inField && (e.ctrlKey || e.metaKey) && e.key === "z") {
+        e.preventDefault();
+        this.undo();
+      }
+    });
+
+    this.elements.statsRange.addEventListener("change", () =>
+      this.renderStats()
+    );
+    this.elements.clearStats.addEventListener("click", () => {
+      chrome.runtime.sendMessage({ type: "clearUsageStats" });
+    });
+    this.elements.statsSites.addEventListener("click", (e) => {
+      const site = e.target.dataset.site;
+      if (site && e.target.dataset.action === "trust-site") {
+        this.trustSite(site);
+      }
+    });
+
+    this.elements.unlockSettings.addEventListener("click", () =>
+      this.sendPinMessage(
+        { type: "unlockSettings", pin: this.elements.currentPin.value },
+        t("settingsUnlocked")
+      )
+    );
+    this.elements.lockSettings.addEventListener("click", () =>
+      this.sendPinMessage({ type: "lockSettings" }, t("settingsLocked"))
+    );
+    this.elements.setPin.addEventListener("click", () =>
+      this.sendPinMessage(
+        {
+          type: "setPin",
+          pin: this.elements.newPin.value,
+          currentPin: this.elements.currentPin.value,
+        },
+        t("pinSaved")
+      )
+    );
+    this.elements.removePin.addEventListener("click", () =>
+      this.sendPinMessage(
+        { type: "removePin", currentPin: this.elements.currentPin.value },
+        t("pinRemoved")
+      )
+    );
+
+    // Configuration import and export, here rather than in the popup since
+    // a file chooser closes the popup on Windows and Linux
+    this.elements.exportConfig.addEventListener("click", () =>
+      this.exportConfig()
+    );
+    this.elements.importConfig.addEventListener("click", () =>
+      this.elements.importFile.click()
+    );
+    this.elements.importFile.addEventListener("change", (e) => {
+      const [file] = e.target.files;
+      if (file) this.importConfig(file);
+    });
+
+    // Follow changes made from the popup or another options tab
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+      if (changes.blockedMedia) {
+        this.blockedMedia = changes.blockedMedia.newValue || [];
+        return;
+      }
+      if (changes.usageStats) {
+        this.usageStats = changes.usageStats.newValue || {};
+        this.renderStats();
+        return;
+      }
+      if (changes.pinLock || changes.pinUnlockedUntil) {
+        await this.loadLockState();
+        this.updateLockUI();
+        return;
+      }
+      // Any synced change, so settings changed elsewhere are never
+      // written back with old values
+      if (areaName !== "sync" || this.editing) return;
+
+      await this.loadSettings();
+      this.render();
+      this.renderStats();
+    });
+  }
+
+  getList() {
+    return this.settings[this.listKey];
+  }
+
+  // Normalize user input into a rule; "auto" keeps the type the input
+  // already reads as
+  createRule(input, type = "auto") {
+    const value = input.trim();
+    const ruleType =
+      type === "auto" ? BlurShieldSiteRules.getRuleType(value) : type;
+    return ruleType ? BlurShieldSiteRules.createRule(ruleType, value) : null;
+  }
+
+  bulkAdd() {
+    const lines = this.elements.bulkInput.value
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+    if (lines.length === 0) return;
+
+    const list = this.getList();
+    const invalid = [];
+    let added = 0;
+    let duplicates = 0;
+
+    lines.forEach((line) => {
+      const rule = this.createRule(line, this.elements.bulkType.value);
+      if (!rule) {
+        invalid.push(line);
+      } else if (list.includes(rule)) {
+        duplicates++;
+      } else {
+        list.push(rule);
+        added++;
+      }
+    });
+
+    // Leave the lines that could not be added for fixing
+    this.elements.bulkInput.value = invalid.join("\n");
+    this.elements.bulkStatus.textContent = [
+      t("rulesAdded", added),
+      duplicates > 0 && t("rulesDuplicate", duplicates),
+      invalid.length > 0 && t("rulesInvalid", invalid.length),
+    ]
+      .filter(Boolean)
+      .join(t("listSeparator"));
+
+    if (added > 0) {
+      this.saveSettings();
+      this.render();
+    }
+  }
+
+  commitEdit(rule) {
+    const input = this.elements.ruleList.querySelector(".rule-edit");
+    if (!input) return;
+
+    const list = this.getList();
+    const index = list.indexOf(rule);
+    const updated = this.createRule(input.value);
+
+    if (!updated) {
+      input.classList.add("invalid");
+      input.title = t("invalidRule");
+      return;
+    }
+    if (updated !== rule && list.includes(updated)) {
+      input.classList.add("invalid");
+      input.title = t("ruleAlreadyListed");
+      return;
+    }
+
+    this.editing = null;
+    if (index !== -1 && updated !== rule) {
+      list[index] = updated;
+      if (this.selected.delete(rule)) this.selected.add(updated);
+      this.saveSettings();
+    }
+    this.render();
+  }
+
+  removeRules(rules) {
+    const list = this.getList();
+    const removed = rules
+      .map((rule) => ({ rule, index: list.indexOf(rule) }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => a.index - b.index);
+    if (removed.length === 0) return;
+
+    const removedRules = new Set(removed.map(({ rule }) => rule));
+    this.settings[this.listKey] = list.filter(
+      (rule) => !removedRules.has(rule)
+    );
+    removedRules.forEach((rule) => this.selected.delete(rule));
+
+    this.undoStack.push({ listKey: this.listKey, removed });
+    this.showUndo(
+      removed.length === 1
+        ? t("removedRule", removed[0].rule)
+        : t("removedRules", removed.length)
+    );
+
+    this.saveSettings();
+    this.render();
+  }
+
+  // Put the last removed rules back where they were
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+
+    const list = this.settings[entry.listKey];
+    entry.removed.forEach(({ rule, index }) => {
+      if (!list.includes(rule)) {
+        list.splice(Math.min(index, list.length), 0, rule);
+      }
+    });
+
+    if (this.undoStack.length === 0) {
+      this.hideUndo();
+    }
+    this.saveSettings();
+    this.render();
+  }
+
+  showUndo(text) {
+    this.elements.undoText.textContent = text;
+    this.elements.undoBar.classList.remove("hidden");
+
+    clearTimeout(this.undoTimeout);
+    this.undoTimeout = setTimeout(() => this.hideUndo(), UNDO_TIMEOUT);
+  }
+
+  hideUndo() {
+    clearTimeout(this.undoTimeout);
+    this.elements.undoBar.classList.add("hidden");
+  }
+
+  // Rules matching the search, in the chosen order
+  getVisibleRules() {
+    const query = this.elements.search.value.trim().toLowerCase();
+    const typeOrder = BlurShieldSiteRules.RULE_TYPES;
+
+    const rules = this.getList()
+      .map((rule, index) => ({
+        rule,
+        index,
+        type: BlurShieldSiteRules.getRuleType(rule) || "exact",
+      }))
+      .filter(({ rule }) => !query || rule.toLowerCase().includes(query));
+
+    switch (this.elements.sortOrder.value) {
+      case "az":
+        return rules.sort((a, b) => a.rule.localeCompare(b.rule));
+      case "za":
+        return rules.sort((a, b) => b.rule.localeCompare(a.rule));
+      case "type":
+        return rules.sort(
+          (a, b) =>
+            typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+            a.rule.localeCompare(b.rule)
+        );
+      default:
+        return rules;
+    }
+  }
+
+  addSchedule() {
+    const status = this.elements.scheduleFormStatus;
+    const days = [
+      ...this.elements.scheduleDays.querySelectorAll("[data-day]:checked"),
+    ].map((checkbox) => Number(checkbox.dataset.day));
+    const effect = this.elements.scheduleEffect.value;
+    const value = this.elements.scheduleValue.value;
+
+    const schedule = {
+      id: Date.now().toString(36),
+      name: this.elements.scheduleName.value.trim() || t("scheduleDefaultName"),
+      enabled: true,
+      days,
+      start: this.elements.scheduleStart.value,
+      end: this.elements.scheduleEnd.value,
+    };
+
+    if (effect === "blurAll") {
+      schedule.blurAll = true;
+    } else if (effect === "trustedSites") {
+      schedule.trustedSites = value
+        .split(/[\s,]+/)
+        .map((input) => this.createRule(input))
+        .filter(Boolean);
+      if (schedule.trustedSites.length === 0) {
+        status.textContent = t("scheduleNeedsSites");
+        return;
+      }
+    } else {
+      schedule.blurIntensity = parseInt(value);
+      if (!(schedule.blurIntensity >= 1 && schedule.blurIntensity <= 50)) {
+        status.textContent = t("scheduleNeedsIntensity");
+        return;
+      }
+    }
+
+    if (days.length === 0 || !BlurShieldSchedules.isValidSchedule(schedule)) {
+      status.textContent = t("scheduleNeedsDays");
+      return;
+    }
+
+    this.settings.schedules = [...this.settings.schedules, schedule];
+    this.elements.scheduleName.value = "";
+    this.elements.scheduleValue.value = "";
+    status.textContent = "";
+    this.saveSettings();
+    this.renderSchedules();
+  }
+
+  updateScheduleFormUI() {
+    const effect = this.elements.scheduleEffect.value;
+    const input = this.elements.scheduleValue;
+    input.classList.toggle("hidden", effect === "blurAll");
+    input.placeholder =
+      effect === "trustedSites"
+        ? t("scheduleSitesPlaceholder")
+        : t("scheduleIntensityPlaceholder");
+  }
+
+  describeSchedule(schedule) {
+    const days =
+      schedule.days.length === 7
+        ? t("everyDay")
+        : [...schedule.days]
+            .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+            .map((day) => DAY_NAMES[day])
+            .join(t("listSeparator"));
+    const effects = [
+      schedule.blurAll && t("effectBlurAll"),
+      schedule.trustedSites?.length > 0 &&
+        t("effectTrustSites", schedule.trustedSites.join(", ")),
+      schedule.blurIntensity > 0 &&
+        t("effectIntensity", schedule.blurIntensity),
+    ].filter(Boolean);
+
+    return t("scheduleSummary", [
+      days,
+      schedule.start,
+      schedule.end,
+      effects.join(t("listSeparator")),
+    ]);
+  }
+
+  renderSchedules() {
+    const container = this.elements.scheduleList;
+    const schedules = this.settings.schedules;
+
+    if (schedules.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty-state";
+      empty.textContent = t("noSchedules");
+      container.replaceChildren(empty);
+      return;
+    }
+
+    container.replaceChildren(
+      ...schedules.map((schedule) => {
+        const row = document.createElement("div");
+        row.className = "rule-row";
+
+        const toggle = document.createElement("input");
+        toggle.type = "checkbox";
+        toggle.checked = schedule.enabled !== false;
+        toggle.dataset.schedule = schedule.id;
+        toggle.setAttribute("aria-label", t("enableSchedule", schedule.name));
+
+        const details = document.createElement("span");
+        details.className = "schedule-details";
+        const summary = document.createElement("span");
+        summary.className = "status";
+        summary.textContent = this.describeSchedule(schedule);
+        details.append(schedule.name, summary);
+
+        row.append(toggle, details);
+
+        if (BlurShieldSchedules.isScheduleActive(schedule)) {
+          const badge = document.createElement("span");
+          badge.className = "rule-badge";
+          badge.textContent = t("activeNow");
+          row.appendChild(badge);
+        }
+
+        const remove = document.createElement("button");
+        remove.className = "btn btn-small btn-danger";
+        remove.textContent = t("remove");
+        remove.dataset.action = "remove-schedule";
+        remove.dataset.schedule = schedule.id;
+        row.appendChild(remove);
+        return row;
+      })
+    );
+  }
+
+  // Days in the selected range, newest first, with their per-site counts
+  getStatsDays() {
+    const range = Number(this.elements.statsRange.value);
+    return Object.keys(this.usageStats)
+      .sort()
+      .reverse()
+      .slice(0, range)
+      .map((day) => ({ day, sites: this.usageStats[day] }));
+  }
+
+  isSiteTrusted(site) {
+    const url = `https://${site}/`;
+    return this.settings.mode === "blocklist"
+      ? !BlurShieldSiteRules.matchesAny(this.settings.blocklist, url)
+      : BlurShieldSiteRules.matchesAny(this.settings.whitelist, url);
+  }
+
+  isTrustSuggested({ site, blurred, revealed }) {
+    return (
+      revealed >= SUGGEST_MIN_REVEALS &&
+      revealed >= blurred * SUGGEST_REVEAL_RATE &&
+      !this.isSiteTrusted(site)
+    );
+  }
+
+  trustSite(site) {
+    chrome.runtime.sendMessage(
+      { type: "trustSite", url: `https://${site}/` },
+      async (response) => {
+        if (response?.locked) {
+          this.elements.statsSummary.textContent = t("trustLocked");
+          return;
+        }
+        await this.loadSettings();
+        this.render();
+        this.renderStats();
+      }
+    );
+  }
+
+  renderStats() {
+    const days = this.getStatsDays();
+    const totals = new Map(); // hostname -> { blurred, revealed }
+
+    const dayRows = days.map(({ day, sites }) => {
+      let blurred = 0;
+      let revealed = 0;
+      Object.entries(sites).forEach(([site, counts]) => {
+        const total = totals.get(site) || { blurred: 0, revealed: 0 };
+        total.blurred += counts.blurred;
+        total.revealed += counts.revealed;
+        totals.set(site, total);
+        blurred += counts.blurred;
+        revealed += counts.revealed;
+      });
+
+      const row = document.createElement("div");
+      row.className = "rule-row";
+      const date = document.createElement("span");
+      date.className = "rule-text";
+      date.textContent = day;
+      const counts = document.createElement("span");
+      counts.className = "status";
+      counts.textContent = t("statsCounts", [blurred, revealed]);
+      row.append(date, counts);
+      return row;
+    });
+
+    if (days.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty-state";
+      empty.textContent = t("nothingCounted");
+      this.elements.statsDays.replaceChildren(empty);
+      this.elements.statsSites.replaceChildren();
+      this.elements.statsSummary.textContent = "";
+      return;
+    }
+    this.elements.statsDays.replaceChildren(...dayRows);
+
+    const sites = [...totals]
+      .map(([site, counts]) => ({ site, ...counts }))
+      .sort((a, b) => b.revealed - a.revealed || b.blurred - a.blurred)
+      .slice(0, STATS_SITE_LIMIT);
+
+    this.elements.statsSummary.textContent = t("statsSites", totals.size);
+    this.elements.statsSites.replaceChildren(
+      ...sites.map((entry) => {
+        const row = document.createElement("div");
+        row.className = "rule-row";
+
+        const name = document.createElement("span");
+        name.className = "rule-text";
+        name.textContent = entry.site;
+        const counts = document.createElement("span");
+        counts.className = "status";
+        counts.textContent = t("statsCounts", [entry.blurred, entry.revealed]);
+        row.append(name, counts);
+
+        if (this.isSiteTrusted(entry.site)) {
+          const badge = document.createElement("span");
+          badge.className = "rule-badge";
+          badge.textContent = t("trusted");
+          row.appendChild(badge);
+        } else if (this.isTrustSuggested(entry)) {
+          const trust = document.createElement("button");
+          trust.className = "btn btn-small btn-primary";
+          trust.textContent = t("suggestTrust");
+          trust.dataset.action = "trust-site";
+          trust.dataset.site = entry.site;
+          row.appendChild(trust);
+        }
+        return row;
+      })
+    );
+  }
+
+  render() {
+    this.updateTabsUI();
+    this.renderSchedules();
+
+    const container = this.elements.ruleList;
+    const list = this.getList();
+    const visible = this.getVisibleRules();
+
+    this.elements.listSummary.textContent =
+      visible.length === list.length
+        ? t("rulesCount", list.length)
+        : t("rulesShowing", [visible.length, list.length]);
+
+    if (visible.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty-state";
+      empty.textContent = list.length === 0 ? t("noRules") : t("noRulesMatch");
+      container.replaceChildren(empty);
+      this.updateSelectionUI();
+      return;
+    }
+
+    if (this.elements.groupByType.checked) {
+      const children = [];
+      BlurShieldSiteRules.RULE_TYPES.forEach((type) => {
+        const group = visible.filter((item) => item.type === type);
+        if (group.length === 0) return;
+
+        const title = document.createElement("div");
+        title.className = "group-title";
+        title.textContent = `${RULE_TYPE_LABELS[type]} (${group.length})`;
+        children.push(title, ...group.map((item) => this.createRow(item)));
+      });
+      container.replaceChildren(...children);
+    } else {
+      container.replaceChildren(...visible.map((item) => this.createRow(item)));
+    }
+
+    this.updateSelectionUI();
+
+    // Focus the inline editor right after it is rendered
+    container.querySelector(".rule-edit")?.focus();
+  }
+
+  updateTabsUI() {
+    this.elements.tabs.forEach((tab) => {
+      const active = tab.dataset.list === this.listKey;
+      tab.classList.toggle("active", active);
+      tab.setAttribute("aria-selected", String(active));
+    });
+    this.elements.whitelistCount.textContent = `(${this.settings.whitelist.length})`;
+    this.elements.blocklistCount.textContent = `(${this.settings.blocklist.length})`;
+
+    const inUse =
+      (this.settings.mode === "blocklist" ? "blocklist" : "whitelist") ===
+      this.listKey;
+    this.elements.modeNote.textContent =
+      this.listKey === "whitelist"
+        ? t("noteTrustedSites")
+        : t("noteBlurredSites");
+    if (!inUse) {
+      this.elements.modeNote.textContent += " " + t("noteListUnused");
+    }
+  }
+
+  updateSelectionUI() {
+    const visible = this.getVisibleRules();
+    const selectedVisible = visible.filter(({ rule }) =>
+      this.selected.has(rule)
+    );
+
+    this.elements.selectAll.checked =
+      visible.length > 0 && selectedVisible.length === visible.length;
+    this.elements.selectAll.indeterminate =
+      selectedVisible.length > 0 && selectedVisible.length < visible.length;
+    this.elements.removeSelected.disabled = this.selected.size === 0;
+    this.elements.removeSelected.textContent =
+      this.selected.size > 0
+        ? t("removeSelectedCount", this.selected.size)
+        : t("removeSelected");
+  }
+
+  // Rules can be arbitrary user text, build rows without innerHTML
+  createRow({ rule, type }) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = this.selected.has(rule);
+    checkbox.dataset.rule = rule;
+    checkbox.setAttribute("aria-label", t("selectRule", rule));
+    row.appendChild(checkbox);
+
+    if (this.editing === rule) {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "rule-edit";
+      input.value = rule;
+      input.dir = "ltr";
+      input.dataset.rule = rule;
+      row.append(
+        input,
+        this.createButton(t("save"), "save", rule, "btn-primary"),
+        this.createButton(t("cancel"), "cancel", rule)
+      );
+      return row;
+    }
+
+    const text = document.createElement("span");
+    text.className = "rule-text";
+    text.dir = "ltr";
+    text.textContent = rule;
+
+    const badge = document.createElement("span");
+    badge.className = "rule-badge";
+    badge.textContent = RULE_TYPE_LABELS[type];
+
+    row.append(
+      text,
+      badge,
+      this.createButton(t("edit"), "edit", rule),
+      this.createButton(t("remove"), "remove", rule, "btn-danger")
+    );
+    return row;
+  }
+
+  createButton(label, action, rule, variant) {
+    const button = document.createElement("button");
+    button.className = ["btn", "btn-small", variant].filter(Boolean).join(" ");
+    button.textContent = label;
+    button.dataset.action = action;
+    button.dataset.rule = rule;
+    return button;
+  }
+
+  // Download lists, profiles and modes as a JSON file
+  exportConfig() {
+    const config = BlurShieldSettings.exportConfig(
+      this.settings,
+      this.blockedMedia
+    );
+    const blob = new Blob([JSON.stringify(config, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `blur-shield-config-${config.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this.elements.importStatus.textContent = t("configExported");
+  }
+
+  async importConfig(file) {
+    const status = this.elements.importStatus;
+    const strategy = this.elements.importStrategy.value;
+
+    try {
+      const imported = BlurShieldSettings.parseConfig(await file.text());
+      const { settings, blockedMedia } = BlurShieldSettings.applyConfig(
+        { settings: this.settings, blockedMedia: this.blockedMedia },
+        imported,
+        strategy
+      );
+
+      this.settings = settings;
+      this.saveSettings();
+      this.setBlockedMedia(blockedMedia);
+      this.render();
+
+      status.textContent =
+        t(strategy === "replace" ? "configReplaced" : "configMerged") +
+        (imported.errors.length > 0
+          ? " · " + t("importSkipped", imported.errors.length)
+          : "");
+      status.title = imported.errors.join("\n");
+    } catch (error) {
+      status.textContent = t("importFailed", error.message);
+      status.title = "";
+    } finally {
+      // Allow importing the same file again
+      this.elements.importFile.value = "";
+    }
+  }
+
+  setBlockedMedia(rules) {
+    chrome.runtime.sendMessage(
+      { type: "setBlockedMedia", rules },
+      async (response) => {
+        if (!response?.locked) return;
+
+        await this.loadLockState();
+        this.updateLockUI();
+        this.elements.pinStatus.textContent = t("lockedChange");
+        document.getElementById("pinLock").scrollIntoView();
+      }
+    );
+  }
+
+  // Send a PIN message and report the outcome under the PIN Lock section
+  sendPinMessage(message, successText) {
+    chrome.runtime.sendMessage(message, async (result) => {
+      this.elements.currentPin.value = "";
+      this.elements.newPin.value = "";
+      await this.loadLockState();
+      this.updateLockUI();
+
+      if (result?.success) {
+        this.elements.pinStatus.textContent = successText;
+      } else if (result?.retryAfter > 0) {
+        this.elements.pinStatus.textContent = t(
+          "tooManyAttempts",
+          Math.ceil(result.retryAfter / 1000)
+        );
+      } else {
+        this.elements.pinStatus.textContent = result?.error || t("wrongPin");
+      }
+    });
+  }
+
+  updateLockUI() {
+    const { enabled, unlocked, unlockedUntil } = this.lockState;
+
+    this.elements.lockStatus.textContent = !enabled
+      ? t("pinNotSet")
+      : unlocked
+      ? t("unlockedUntil", new Date(unlockedUntil).toLocaleTimeString())
+      : t("lockedNote");
+    this.elements.setPin.textContent = enabled ? t("changePin") : t("setPin");
+    this.elements.currentPin.classList.toggle("hidden", !enabled);
+    this.elements.unlockSettings.classList.toggle(
+      "hidden",
+      !enabled || unlocked
+    );
+    this.elements.lockSettings.classList.toggle(
+      "hidden",
+      !enabled || !unlocked
+    );
+    this.elements.removePin.classList.toggle("hidden", !enabled);
+  }
+
+  saveSettings() {
+    const changes = BlurShieldSettings.diffSettings(
+      this.savedSettings,
+      this.settings
+    );
+    if (Object.keys(changes).length === 0) return;
+    this.savedSettings = structuredClone(this.settings);
+
+    chrome.runtime.sendMessage(
+      {
+        type: "updateSettings",
+        changes,
+      },
+      async (response) => {
+        if (response?.success === false && !response.locked) {
+          // Not stored, e.g. over the sync quota: show what is stored
+          await this.loadSettings();
+          this.render();
+          this.elements.saveError.textContent = t(
+            "saveFailed",
+            response.error || t("unknownError")
+          );
+          this.elements.saveError.classList.remove("hidden");
+          return;
+        }
+        this.elements.saveError.classList.add("hidden");
+        if (!response?.locked) return;
+
+        // Rejected while locked: show the stored rules again
+        await Promise.all([this.loadSettings(), this.loadLockState()]);
+        this.render();
+        this.updateLockUI();
+        this.elements.pinStatus.textContent = t("lockedChange");
+        document.getElementById("pinLock").scrollIntoView();
+      }
+    );
+  }
+}
+
+// Initialize with error handling
+try {
+  new OptionsPageController();
+} catch (error) {
+  console.error("Options page initialization failed:", error);
+}
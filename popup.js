@@ -1,29 +1,112 @@
+const t = BlurShieldI18n.getMessage;
+
 class OptimizedPopupController {
   constructor() {
     this.settings = {
       isEnabled: true,
+      blurStyle: "blur",
       blurIntensity: 10,
+      mode: "whitelist",
       whitelist: [],
+      blocklist: [],
+      mediaTypes: { ...BlurShieldProfiles.DEFAULT_PROFILE.mediaTypes },
+      minMediaSize: 32,
+      siteProfiles: {},
+      videoAutoPause: false,
+      videoMute: false,
+      classifier: "off",
+      classifierThreshold: 0.3,
+      revealSeconds: 10,
+      autoReblurSeconds: 0,
+      reblurOffscreen: false,
+      schedules: [],
     };
 
     this.currentDomain = "";
+    this.currentUrl = "";
+    this.currentTabId = null;
+    this.overrideState = {};
+    this.revealedMedia = {};
+    this.blockedMedia = [];
+    this.savedSettings = null; // settings as last loaded or sent
+    this.pageStats = null; // counts reported by the page, if it has any
+    this.lockState = { enabled: false, unlocked: true };
     this.elements = {};
     this.updateTimeout = null;
 
+    BlurShieldI18n.localizePage();
     this.cacheElements();
+    this.populateClassifiers();
     this.init();
   }
 
+  // Classifier choices come from the shared registry
+  populateClassifiers() {
+    BlurShieldClassifiers.list().forEach(({ id, name, messageName }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = messageName ? t(messageName) : name;
+      this.elements.classifier.appendChild(option);
+    });
+  }
+
   cacheElements() {
     this.elements = {
       enableToggle: document.getElementById("enableToggle"),
+      scheduleStatus: document.getElementById("scheduleStatus"),
+      blurStyle: document.getElementById("blurStyle"),
       blurSlider: document.getElementById("blurSlider"),
       blurValue: document.getElementById("blurValue"),
+      mediaTypes: document.getElementById("mediaTypes"),
+      minMediaSize: document.getElementById("minMediaSize"),
+      revealSeconds: document.getElementById("revealSeconds"),
+      autoReblurSeconds: document.getElementById("autoReblurSeconds"),
+      reblurOffscreen: document.getElementById("reblurOffscreen"),
+      videoAutoPause: document.getElementById("videoAutoPause"),
+      videoMute: document.getElementById("videoMute"),
+      classifier: document.getElementById("classifier"),
+      classifierThresholdRow: document.getElementById("classifierThresholdRow"),
+      classifierThreshold: document.getElementById("classifierThreshold"),
+      classifierThresholdValue: document.getElementById(
+        "classifierThresholdValue"
+      ),
       domainName: document.getElementById("domainName"),
+      pageStats: document.getElementById("pageStats"),
+      pageTiming: document.getElementById("pageTiming"),
       quickAdd: document.getElementById("quickAdd"),
+      overrideActions: document.getElementById("overrideActions"),
+      overrideStatus: document.getElementById("overrideStatus"),
+      overrideText: document.getElementById("overrideText"),
+      clearOverride: document.getElementById("clearOverride"),
       domainInput: document.getElementById("domainInput"),
       addDomain: document.getElementById("addDomain"),
+      ruleType: document.getElementById("ruleType"),
+      blurMode: document.getElementById("blurMode"),
+      domainListTitle: document.getElementById("domainListTitle"),
+      siteProfileToggle: document.getElementById("siteProfileToggle"),
+      siteProfileControls: document.getElementById("siteProfileControls"),
+      siteBlurStyle: document.getElementById("siteBlurStyle"),
+      siteBlurSlider: document.getElementById("siteBlurSlider"),
+      siteBlurValue: document.getElementById("siteBlurValue"),
+      siteMediaTypes: document.getElementById("siteMediaTypes"),
+      siteRevealMode: document.getElementById("siteRevealMode"),
       whitelistItems: document.getElementById("whitelistItems"),
+      manageRules: document.getElementById("manageRules"),
+      blockedInput: document.getElementById("blockedInput"),
+      addBlocked: document.getElementById("addBlocked"),
+      blockedItems: document.getElementById("blockedItems"),
+      clearRevealed: document.getElementById("clearRevealed"),
+      revealedSummary: document.getElementById("revealedSummary"),
+      revealedItems: document.getElementById("revealedItems"),
+      openImportExport: document.getElementById("openImportExport"),
+      lockSection: document.getElementById("lockSection"),
+      lockTitle: document.getElementById("lockTitle"),
+      lockNow: document.getElementById("lockNow"),
+      lockForm: document.getElementById("lockForm"),
+      pinInput: document.getElementById("pinInput"),
+      unlockButton: document.getElementById("unlockButton"),
+      lockMessage: document.getElementById("lockMessage"),
+      saveError: document.getElementById("saveError"),
     };
   }
 
@@ -33,6 +116,13 @@ class OptimizedPopupController {
       this.loadSettings(),
       this.getCurrentDomain(),
     ]);
+    await Promise.all([
+      this.loadOverrideState(),
+      this.loadRevealedMedia(),
+      this.loadBlockedMedia(),
+      this.loadLockState(),
+      this.loadPageStats(),
+    ]);
 
     this.setupEventListeners();
     this.updateUI();
@@ -43,9 +133,27 @@ class OptimizedPopupController {
       chrome.runtime.sendMessage({ type: "getSettings" }, (settings) => {
         this.settings = {
           isEnabled: settings?.isEnabled !== false,
+          blurStyle: settings?.blurStyle || "blur",
           blurIntensity: settings?.blurIntensity || 10,
+          mode: settings?.mode === "blocklist" ? "blocklist" : "whitelist",
           whitelist: settings?.whitelist || [],
+          blocklist: settings?.blocklist || [],
+          mediaTypes: {
+            ...BlurShieldProfiles.DEFAULT_PROFILE.mediaTypes,
+            ...settings?.mediaTypes,
+          },
+          minMediaSize: settings?.minMediaSize ?? 32,
+          siteProfiles: settings?.siteProfiles || {},
+          videoAutoPause: settings?.videoAutoPause === true,
+          videoMute: settings?.videoMute === true,
+          classifier: settings?.classifier || "off",
+          classifierThreshold: settings?.classifierThreshold ?? 0.3,
+          revealSeconds: settings?.revealSeconds || 10,
+          autoReblurSeconds: settings?.autoReblurSeconds || 0,
+          reblurOffscreen: settings?.reblurOffscreen === true,
+          schedules: settings?.schedules || [],
         };
+        this.savedSettings = structuredClone(this.settings);
         resolve(this.settings);
       });
     });
@@ -58,6 +166,8 @@ class OptimizedPopupController {
         currentWindow: true,
       });
       if (tab?.url) {
+        this.currentTabId = tab.id;
+        this.currentUrl = tab.url;
         this.currentDomain = new URL(tab.url).hostname;
         return this.currentDomain;
       }
@@ -67,6 +177,69 @@ class OptimizedPopupController {
     return "";
   }
 
+  loadOverrideState() {
+    return new Promise((resolve) => {
+      if (this.currentTabId === null) {
+        resolve(this.overrideState);
+        return;
+      }
+      chrome.runtime.sendMessage(
+        {
+          type: "getOverrideState",
+          tabId: this.currentTabId,
+          url: this.currentUrl,
+        },
+        (state) => {
+          this.overrideState = state || {};
+          resolve(this.overrideState);
+        }
+      );
+    });
+  }
+
+  loadRevealedMedia() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getRevealedMedia" }, (response) => {
+        this.revealedMedia = response?.media || {};
+        resolve(this.revealedMedia);
+      });
+    });
+  }
+
+  loadBlockedMedia() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getBlockedMedia" }, (response) => {
+        this.blockedMedia = response?.rules || [];
+        resolve(this.blockedMedia);
+      });
+    });
+  }
+
+  // Counts for the page in the active tab, kept by its top frame
+  async loadPageStats() {
+    if (this.currentTabId === null) return null;
+    try {
+      this.pageStats = await chrome.tabs.sendMessage(
+        this.currentTabId,
+        { type: "getPageStats" },
+        { frameId: 0 }
+      );
+    } catch (error) {
+      // Pages without the content script have no counts
+      this.pageStats = null;
+    }
+    return this.pageStats;
+  }
+
+  loadLockState() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: "getLockState" }, (state) => {
+        this.lockState = state || { enabled: false, unlocked: true };
+        resolve(this.lockState);
+      });
+    });
+  }
+
   setupEventListeners() {
     // Toggle
     this.elements.enableToggle.addEventListener("click", () => {
@@ -74,14 +247,93 @@ class OptimizedPopupController {
       this.debouncedUpdate();
     });
 
+    this.elements.blurStyle.addEventListener("change", (e) => {
+      this.settings.blurStyle = e.target.value;
+      this.updateSliderUI();
+      this.updateSiteProfileUI();
+      this.debouncedUpdate();
+    });
+
     // Slider with immediate visual feedback
     this.elements.blurSlider.addEventListener("input", (e) => {
       const value = parseInt(e.target.value);
-      this.elements.blurValue.textContent = `${value}px blur`;
+      this.elements.blurValue.textContent = this.describeIntensity(
+        this.settings.blurStyle,
+        value
+      );
       this.settings.blurIntensity = value;
       this.debouncedUpdate();
     });
 
+    // Global media types and size threshold
+    this.elements.mediaTypes.addEventListener("change", (e) => {
+      const type = e.target.dataset.mediaType;
+      if (!type) return;
+      this.settings.mediaTypes = {
+        ...this.settings.mediaTypes,
+        [type]: e.target.checked,
+      };
+      this.debouncedUpdate();
+    });
+
+    this.elements.minMediaSize.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.settings.minMediaSize =
+        Number.isFinite(value) && value > 0 ? value : 0;
+      this.debouncedUpdate();
+    });
+
+    this.elements.revealSeconds.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      if (Number.isFinite(value) && value > 0) {
+        this.settings.revealSeconds = value;
+        this.debouncedUpdate();
+      }
+    });
+
+    this.elements.autoReblurSeconds.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.settings.autoReblurSeconds =
+        Number.isFinite(value) && value > 0 ? value : 0;
+      this.debouncedUpdate();
+    });
+
+    this.elements.reblurOffscreen.addEventListener("change", (e) => {
+      this.settings.reblurOffscreen = e.target.checked;
+      this.debouncedUpdate();
+    });
+
+    // Video options
+    this.elements.videoAutoPause.addEventListener("change", (e) => {
+      this.settings.videoAutoPause = e.target.checked;
+      this.debouncedUpdate();
+    });
+
+    this.elements.videoMute.addEventListener("change", (e) => {
+      this.settings.videoMute = e.target.checked;
+      this.debouncedUpdate();
+    });
+
+    // Smart blur
+    this.elements.classifier.addEventListener("change", (e) => {
+      this.settings.classifier = e.target.value;
+      this.updateClassifierUI();
+      this.debouncedUpdate();
+    });
+
+    this.elements.classifierThreshold.addEventListener("input", (e) => {
+      this.settings.classifierThreshold = parseInt(e.target.value) / 100;
+      this.updateClassifierUI();
+      this.debouncedUpdate();
+    });
+
+    // Mode switch
+    this.elements.blurMode.addEventListener("change", (e) => {
+      this.settings.mode = e.target.value;
+      this.updateUI();
+      this.saveSettings();
+    });
+
     // Domain input
     this.elements.addDomain.addEventListener("click", () => this.addDomain());
     this.elements.domainInput.addEventListener("keypress", (e) => {
@@ -92,6 +344,106 @@ class OptimizedPopupController {
     this.elements.quickAdd.addEventListener("click", () =>
       this.quickAddDomain()
     );
+
+    // Per-site profile
+    this.elements.siteProfileToggle.addEventListener("click", () =>
+      this.toggleSiteProfile()
+    );
+
+    this.elements.siteBlurStyle.addEventListener("change", (e) => {
+      this.updateSiteProfile({ blurStyle: e.target.value });
+      this.updateSiteProfileUI();
+    });
+
+    this.elements.siteBlurSlider.addEventListener("input", (e) => {
+      const value = parseInt(e.target.value);
+      this.elements.siteBlurValue.textContent = this.describeIntensity(
+        this.elements.siteBlurStyle.value,
+        value
+      );
+      this.updateSiteProfile({ blurIntensity: value });
+    });
+
+    this.elements.siteMediaTypes.addEventListener("change", (e) => {
+      const type = e.target.dataset.mediaType;
+      if (!type) return;
+      const profile = this.getSiteProfile();
+      this.updateSiteProfile({
+        mediaTypes: { ...profile?.mediaTypes, [type]: e.target.checked },
+      });
+    });
+
+    this.elements.siteRevealMode.addEventListener("change", (e) => {
+      this.updateSiteProfile({ revealMode: e.target.value });
+    });
+
+    // Temporary overrides
+    this.elements.overrideActions.addEventListener("click", (e) => {
+      const scope = e.target.dataset.override;
+      if (scope) this.setTemporaryOverride(scope);
+    });
+
+    this.elements.clearOverride.addEventListener("click", () =>
+      this.clearTemporaryOverride()
+    );
+
+    // Blocked media rules
+    this.elements.addBlocked.addEventListener("click", () =>
+      this.addBlockedMedia()
+    );
+    this.elements.blockedInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") this.addBlockedMedia();
+    });
+
+    this.elements.whitelistItems.addEventListener("click", (e) => {
+      const index = parseInt(e.target.dataset.index);
+      if (Number.isInteger(index)) this.removeDomain(index);
+    });
+
+    // Large lists are managed on the options page
+    this.elements.manageRules.addEventListener("click", () =>
+      chrome.runtime.openOptionsPage()
+    );
+
+    this.elements.blockedItems.addEventListener("click", (e) => {
+      const rule = e.target.dataset.rule;
+      if (rule) this.updateBlockedMedia("removeBlockedMedia", [rule]);
+    });
+
+    // Revealed media store
+    this.elements.clearRevealed.addEventListener("click", () =>
+      this.forgetRevealedMedia()
+    );
+
+    this.elements.revealedItems.addEventListener("click", (e) => {
+      const url = e.target.dataset.url;
+      if (url) this.forgetRevealedMedia([url]);
+    });
+
+    // A file chooser closes the popup on Windows and Linux before a file
+    // is picked, so import and export live on the options page
+    this.elements.openImportExport.addEventListener("click", () =>
+      chrome.tabs.create({
+        url: chrome.runtime.getURL("options.html#importExport"),
+      })
+    );
+    // PIN lock
+    this.elements.unlockButton.addEventListener("click", () => this.unlock());
+    this.elements.pinInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") this.unlock();
+    });
+    this.elements.lockNow.addEventListener("click", () => {
+      chrome.runtime.sendMessage({ type: "lockSettings" }, async () => {
+        await this.loadLockState();
+        this.updateLockUI();
+      });
+    });
+
+    // Rule type changes the input hint and the quick-add rule
+    this.elements.ruleType.addEventListener("change", () => {
+      this.updateRuleTypeUI();
+      this.updateDomainUI();
+    });
   }
 
   debouncedUpdate() {
@@ -107,9 +459,13 @@ class OptimizedPopupController {
   }
 
   addDomain() {
-    const domain = this.elements.domainInput.value.trim().toLowerCase();
-    if (domain && !this.settings.whitelist.includes(domain)) {
-      this.settings.whitelist.push(domain);
+    const rule = BlurShieldSiteRules.createRule(
+      this.elements.ruleType.value,
+      this.elements.domainInput.value
+    );
+    const list = this.getActiveList();
+    if (rule && !list.includes(rule)) {
+      list.push(rule);
       this.elements.domainInput.value = "";
       this.updateUI();
       this.saveSettings();
@@ -117,27 +473,218 @@ class OptimizedPopupController {
   }
 
   quickAddDomain() {
-    if (
-      this.currentDomain &&
-      !this.settings.whitelist.includes(this.currentDomain)
-    ) {
-      this.settings.whitelist.push(this.currentDomain);
+    const rule = this.getQuickAddRule();
+    const list = this.getActiveList();
+    if (rule && !list.includes(rule)) {
+      list.push(rule);
       this.updateUI();
       this.saveSettings();
     }
   }
 
+  // Domain list edited by the popup: trusted sites or blurred sites
+  getActiveList() {
+    return this.settings.mode === "blocklist"
+      ? this.settings.blocklist
+      : this.settings.whitelist;
+  }
+
+  // Rule for the current page using the selected rule type
+  getQuickAddRule() {
+    if (!this.currentUrl) return null;
+    return BlurShieldSiteRules.createRuleForUrl(
+      this.elements.ruleType.value,
+      this.currentUrl
+    );
+  }
+
+  setTemporaryOverride(scope) {
+    chrome.runtime.sendMessage(
+      {
+        type: "setTemporaryOverride",
+        scope,
+        minutes: 15,
+        tabId: this.currentTabId,
+        url: this.currentUrl,
+      },
+      (response) => {
+        if (response?.locked) this.handleLocked();
+        this.refreshOverrideState();
+      }
+    );
+  }
+
+  clearTemporaryOverride() {
+    chrome.runtime.sendMessage(
+      {
+        type: "clearTemporaryOverride",
+        tabId: this.currentTabId,
+        url: this.currentUrl,
+      },
+      () => this.refreshOverrideState()
+    );
+  }
+
+  async refreshOverrideState() {
+    await Promise.all([
+      this.loadOverrideState(),
+      this.loadRevealedMedia(),
+      this.loadBlockedMedia(),
+    ]);
+    this.updateOverrideUI();
+  }
+
+  addBlockedMedia() {
+    const rule = this.elements.blockedInput.value.trim();
+    if (!BlurShieldMediaRules.isValidMediaRule(rule)) return;
+
+    this.elements.blockedInput.value = "";
+    this.updateBlockedMedia("addBlockedMedia", [rule]);
+  }
+
+  // type: "addBlockedMedia", "removeBlockedMedia" or "setBlockedMedia"
+  updateBlockedMedia(type, rules) {
+    chrome.runtime.sendMessage({ type, rules }, (response) => {
+      if (response?.locked) this.handleLocked();
+      this.blockedMedia = response?.rules || this.blockedMedia;
+      this.updateBlockedUI();
+    });
+  }
+
+  // Forget the given URLs, or every remembered reveal without urls
+  forgetRevealedMedia(urls) {
+    chrome.runtime.sendMessage(
+      { type: "forgetRevealedMedia", urls },
+      async () => {
+        await this.loadRevealedMedia();
+        this.updateRevealedUI();
+      }
+    );
+  }
+
+  // Site rule of the profile that applies to the current page
+  getSiteProfileRule() {
+    if (!this.currentUrl) return null;
+    return BlurShieldProfiles.findProfileRule(
+      this.settings.siteProfiles,
+      this.currentUrl
+    );
+  }
+
+  getSiteProfile() {
+    const rule = this.getSiteProfileRule();
+    return rule ? this.settings.siteProfiles[rule] : null;
+  }
+
+  toggleSiteProfile() {
+    const rule = this.getSiteProfileRule();
+    if (rule) {
+      delete this.settings.siteProfiles[rule];
+    } else {
+      const newRule = BlurShieldSiteRules.createRuleForUrl(
+        "exact",
+        this.currentUrl
+      );
+      if (!newRule) return;
+      this.settings.siteProfiles[newRule] = {
+        blurStyle: this.settings.blurStyle,
+        blurIntensity: this.settings.blurIntensity,
+        mediaTypes: { ...this.settings.mediaTypes },
+        revealMode: BlurShieldProfiles.DEFAULT_PROFILE.revealMode,
+      };
+    }
+    this.updateSiteProfileUI();
+    this.saveSettings();
+  }
+
+  updateSiteProfile(changes) {
+    const rule = this.getSiteProfileRule();
+    if (!rule) return;
+    this.settings.siteProfiles[rule] = {
+      ...this.settings.siteProfiles[rule],
+      ...changes,
+    };
+    this.debouncedUpdate();
+  }
+
   removeDomain(index) {
-    this.settings.whitelist.splice(index, 1);
+    this.getActiveList().splice(index, 1);
     this.updateUI();
     this.saveSettings();
   }
 
+  unlock() {
+    const pin = this.elements.pinInput.value;
+    if (!pin) return;
+
+    chrome.runtime.sendMessage({ type: "unlockSettings", pin }, (result) => {
+      this.elements.pinInput.value = "";
+      this.loadLockState().then(() => {
+        this.updateLockUI();
+        if (!result?.success) {
+          this.elements.lockMessage.textContent =
+            result?.retryAfter > 0
+              ? t("wrongPinRetry", Math.ceil(result.retryAfter / 1000))
+              : t("wrongPin");
+        }
+      });
+    });
+  }
+
+  // The background refused a change; show the stored settings again and
+  // ask for the PIN
+  async handleLocked() {
+    await Promise.all([this.loadSettings(), this.loadLockState()]);
+    this.updateUI();
+    this.elements.lockMessage.textContent = t("pinNeeded");
+    this.elements.pinInput.focus();
+  }
+
+  // The change could not be stored, e.g. over the sync quota; show the
+  // stored settings again and why
+  async handleSaveFailed(error) {
+    await this.loadSettings();
+    this.updateUI();
+    this.elements.saveError.textContent = t("saveFailed", error || "");
+    this.elements.saveError.classList.remove("hidden");
+  }
+
   updateUI() {
+    this.updateLockUI();
     this.updateToggleUI();
     this.updateSliderUI();
+    this.updateMediaUI();
+    this.updateClassifierUI();
+    this.updateModeUI();
+    this.updateRuleTypeUI();
     this.updateDomainUI();
-    this.updateWhitelistUI();
+    this.updateOverrideUI();
+    this.updateSiteProfileUI();
+    this.updateDomainListUI();
+    this.updateBlockedUI();
+    this.updateRevealedUI();
+  }
+
+  updateLockUI() {
+    const { enabled, unlocked, unlockedUntil, retryAfter } = this.lockState;
+
+    this.elements.lockSection.classList.toggle("hidden", !enabled);
+    this.elements.lockForm.classList.toggle("hidden", unlocked);
+    this.elements.lockNow.classList.toggle("hidden", !unlocked);
+    this.elements.lockTitle.textContent = t(
+      unlocked ? "lockTitleUnlocked" : "lockTitleLocked"
+    );
+    this.elements.lockMessage.textContent = unlocked
+      ? t(
+          "locksAgainAt",
+          new Date(unlockedUntil).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          })
+        )
+      : retryAfter > 0
+      ? t("tooManyAttempts", Math.ceil(retryAfter / 1000))
+      : t("lockHint");
   }
 
   updateToggleUI() {
@@ -145,60 +692,302 @@ class OptimizedPopupController {
       "active",
       this.settings.isEnabled
     );
+    this.updateScheduleUI();
+  }
+
+  // Schedules currently changing how blur behaves
+  updateScheduleUI() {
+    const active = BlurShieldSchedules.getActiveSchedules(this.settings);
+    const status = this.elements.scheduleStatus;
+
+    status.classList.toggle("hidden", active.length === 0);
+    status.textContent = active
+      .map((schedule) =>
+        schedule.start === schedule.end
+          ? t("scheduleAllDay", schedule.name)
+          : t("scheduleUntil", [schedule.name, schedule.end])
+      )
+      .join(" · ");
+  }
+
+  // Slider label for a style; fill styles ignore the intensity
+  describeIntensity(blurStyle, intensity) {
+    if (!BlurShieldProfiles.usesIntensity(blurStyle)) {
+      return t("intensityUnused");
+    }
+    return t(
+      blurStyle === "pixelate" ? "intensityBlocks" : "intensityBlur",
+      intensity
+    );
   }
 
   updateSliderUI() {
-    this.elements.blurSlider.value = this.settings.blurIntensity;
-    this.elements.blurValue.textContent = `${this.settings.blurIntensity}px blur`;
+    const { blurStyle, blurIntensity } = this.settings;
+    this.elements.blurStyle.value = blurStyle;
+    this.elements.blurSlider.value = blurIntensity;
+    this.elements.blurSlider.disabled =
+      !BlurShieldProfiles.usesIntensity(blurStyle);
+    this.elements.blurValue.textContent = this.describeIntensity(
+      blurStyle,
+      blurIntensity
+    );
   }
 
   updateDomainUI() {
-    this.elements.domainName.textContent = this.currentDomain || "Unknown";
+    this.elements.domainName.textContent =
+      this.currentDomain || t("unknownDomain");
 
-    const isAlreadyWhitelisted = this.settings.whitelist.includes(
-      this.currentDomain
-    );
+    const stats = this.pageStats;
+    this.elements.pageStats.classList.toggle("hidden", !stats);
+    if (stats) {
+      this.elements.pageStats.textContent = t("pageStats", [
+        stats.blurred,
+        stats.revealed,
+      ]);
+    }
+
+    const timing = stats?.timing;
+    this.elements.pageTiming.classList.toggle("hidden", !timing);
+    if (timing) {
+      this.elements.pageTiming.textContent = t("pageTiming", [
+        timing.scanMs,
+        timing.batches,
+        timing.averageBatchMs,
+        timing.maxBatchMs,
+        timing.layers,
+        timing.mediaCount,
+      ]);
+    }
+
+    const isBlocklist = this.settings.mode === "blocklist";
+    const isAlreadyListed =
+      !!this.currentUrl &&
+      BlurShieldSiteRules.matchesAny(this.getActiveList(), this.currentUrl);
     this.elements.quickAdd.disabled =
-      !this.currentDomain || isAlreadyWhitelisted;
-    this.elements.quickAdd.textContent = isAlreadyWhitelisted
-      ? "Already Trusted"
-      : "Add Current Domain";
+      !this.getQuickAddRule() || isAlreadyListed;
+
+    if (isBlocklist) {
+      this.elements.quickAdd.textContent = t(
+        isAlreadyListed ? "alreadyBlurred" : "blurThisSite"
+      );
+    } else {
+      this.elements.quickAdd.textContent = t(
+        isAlreadyListed ? "alreadyTrusted" : "trustThisSite"
+      );
+    }
   }
 
-  updateWhitelistUI() {
+  updateOverrideUI() {
+    const { tabOverride, siteOverride } = this.overrideState;
+    const isOverridden = tabOverride === false || !!siteOverride;
+
+    this.elements.overrideActions.classList.toggle(
+      "hidden",
+      isOverridden || this.currentTabId === null
+    );
+    this.elements.overrideStatus.classList.toggle("hidden", !isOverridden);
+
+    if (tabOverride === false) {
+      this.elements.overrideText.textContent = t("pausedTab");
+    } else if (siteOverride?.expiresAt) {
+      const time = new Date(siteOverride.expiresAt).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      this.elements.overrideText.textContent = t("pausedUntil", time);
+    } else if (siteOverride) {
+      this.elements.overrideText.textContent = t("pausedSession");
+    }
+  }
+
+  updateSiteProfileUI() {
+    const rule = this.getSiteProfileRule();
+    this.elements.siteProfileToggle.classList.toggle("active", !!rule);
+    this.elements.siteProfileControls.classList.toggle("hidden", !rule);
+    if (!rule) return;
+
+    const profile = BlurShieldProfiles.resolveProfile(
+      this.settings,
+      this.currentUrl
+    );
+    this.elements.siteBlurStyle.value = profile.blurStyle;
+    this.elements.siteBlurSlider.value = profile.blurIntensity;
+    this.elements.siteBlurSlider.disabled = !BlurShieldProfiles.usesIntensity(
+      profile.blurStyle
+    );
+    this.elements.siteBlurValue.textContent = this.describeIntensity(
+      profile.blurStyle,
+      profile.blurIntensity
+    );
+    this.elements.siteMediaTypes
+      .querySelectorAll("[data-media-type]")
+      .forEach((checkbox) => {
+        checkbox.checked = profile.mediaTypes[checkbox.dataset.mediaType];
+      });
+    this.elements.siteRevealMode.value = profile.revealMode;
+  }
+
+  updateRuleTypeUI() {
+    const placeholders = {
+      exact: "example.com",
+      wildcard: "*.example.com",
+      path: "example.com/path",
+      regex: "/^https:\\/\\/.*\\.example\\.com/",
+    };
+    this.elements.domainInput.placeholder =
+      placeholders[this.elements.ruleType.value] || placeholders.exact;
+  }
+
+  updateMediaUI() {
+    this.elements.mediaTypes
+      .querySelectorAll("[data-media-type]")
+      .forEach((checkbox) => {
+        checkbox.checked =
+          this.settings.mediaTypes[checkbox.dataset.mediaType] !== false;
+      });
+    this.elements.minMediaSize.value = this.settings.minMediaSize;
+    this.elements.revealSeconds.value = this.settings.revealSeconds;
+    this.elements.autoReblurSeconds.value = this.settings.autoReblurSeconds;
+    this.elements.reblurOffscreen.checked = this.settings.reblurOffscreen;
+    this.elements.videoAutoPause.checked = this.settings.videoAutoPause;
+    this.elements.videoMute.checked = this.settings.videoMute;
+  }
+
+  updateClassifierUI() {
+    const percent = Math.round(this.settings.classifierThreshold * 100);
+    this.elements.classifier.value = this.settings.classifier;
+    this.elements.classifierThreshold.value = percent;
+    this.elements.classifierThresholdValue.textContent = t(
+      "classifierThreshold",
+      percent
+    );
+    this.elements.classifierThresholdRow.classList.toggle(
+      "hidden",
+      this.settings.classifier === "off"
+    );
+  }
+
+  updateModeUI() {
+    const isBlocklist = this.settings.mode === "blocklist";
+    this.elements.blurMode.value = this.settings.mode;
+    this.elements.domainListTitle.textContent = t(
+      isBlocklist ? "blurredDomains" : "trustedDomains"
+    );
+  }
+
+  updateDomainListUI() {
     const container = this.elements.whitelistItems;
+    const list = this.getActiveList();
 
-    if (this.settings.whitelist.length === 0) {
-      container.innerHTML =
-        '<div class="empty-state">No trusted domains yet</div>';
+    if (list.length === 0) {
+      container.replaceChildren(
+        this.createEmptyState(
+          this.settings.mode === "blocklist"
+            ? "noBlurredDomains"
+            : "noTrustedDomains"
+        )
+      );
       return;
     }
 
-    container.innerHTML = this.settings.whitelist
-      .map(
-        (domain, index) => `
-        <div class="whitelist-item">
-          <span class="whitelist-domain">${domain}</span>
-          <button class="btn btn-danger" data-index="${index}">Remove</button>
-        </div>
-      `
+    // Rules are user text, build the list without innerHTML
+    container.replaceChildren(
+      ...list.map((domain, index) =>
+        this.createListItem(domain, t("remove"), { index })
       )
-      .join("");
+    );
+  }
 
-    // Attach remove listeners efficiently
-    container.addEventListener("click", (e) => {
-      if (e.target.classList.contains("btn-danger")) {
-        const index = parseInt(e.target.dataset.index);
-        this.removeDomain(index);
-      }
-    });
+  updateBlockedUI() {
+    const container = this.elements.blockedItems;
+
+    if (this.blockedMedia.length === 0) {
+      container.replaceChildren(this.createEmptyState("noBlockedMedia"));
+      return;
+    }
+
+    container.replaceChildren(
+      ...this.blockedMedia.map((rule) =>
+        this.createListItem(rule, t("remove"), { rule })
+      )
+    );
+  }
+
+  createEmptyState(messageName) {
+    const empty = document.createElement("div");
+    empty.className = "empty-state";
+    empty.textContent = t(messageName);
+    return empty;
+  }
+
+  // List row with a truncated label and a button carrying the given data
+  createListItem(text, buttonLabel, data) {
+    const item = document.createElement("div");
+    item.className = "whitelist-item";
+
+    // Rules and URLs keep their own direction in right-to-left languages
+    const label = document.createElement("span");
+    label.className = "revealed-url";
+    label.dir = "auto";
+    label.textContent = text;
+    label.title = text;
+
+    const button = document.createElement("button");
+    button.className = "btn btn-danger";
+    button.textContent = buttonLabel;
+    Object.assign(button.dataset, data);
+
+    item.append(label, button);
+    return item;
+  }
+
+  updateRevealedUI() {
+    const container = this.elements.revealedItems;
+    const urls = Object.keys(this.revealedMedia).sort(
+      (a, b) => this.revealedMedia[b] - this.revealedMedia[a]
+    );
+    const shown = urls.slice(0, 50);
+
+    this.elements.clearRevealed.disabled = urls.length === 0;
+    this.elements.revealedSummary.textContent =
+      urls.length > shown.length
+        ? t("rememberedRecent", [urls.length, shown.length])
+        : t("rememberedCount", urls.length);
+
+    if (urls.length === 0) {
+      container.replaceChildren(this.createEmptyState("noRevealedMedia"));
+      return;
+    }
+
+    // URLs come from web pages, build the list without innerHTML
+    container.replaceChildren(
+      ...shown.map((url) => this.createListItem(url, t("forget"), { url }))
+    );
   }
 
   saveSettings() {
-    chrome.runtime.sendMessage({
-      type: "updateSettings",
-      settings: this.settings,
-    });
+    const changes = BlurShieldSettings.diffSettings(
+      this.savedSettings,
+      this.settings
+    );
+    if (Object.keys(changes).length === 0) return;
+    this.savedSettings = structuredClone(this.settings);
+
+    chrome.runtime.sendMessage(
+      {
+        type: "updateSettings",
+        changes,
+      },
+      (response) => {
+        if (response?.locked) {
+          this.handleLocked();
+        } else if (response?.success === false) {
+          this.handleSaveFailed(response.error);
+        } else {
+          this.elements.saveError.classList.add("hidden");
+        }
+      }
+    );
   }
 }
 
@@ -0,0 +1,153 @@
+// Time-of-day schedule rules shared by the background script, which sets an
+// alarm for the next boundary, and by the content script, popup and options
+// page, which apply the active schedules on top of the stored settings.
+// isBlurActive makes the blur decision for both the background script and
+// the content script from those settings.
+//
+// A schedule is stored in settings.schedules as
+//   { id, name, enabled, days, start, end, blurAll, trustedSites, blurIntensity }
+// days lists weekdays (0 = Sunday), start and end are "HH:MM" in local time
+// and a start after the end runs past midnight. While active a schedule can:
+//   blurAll        blur every site, ignoring the site lists and the on switch
+//   trustedSites   site rules that are not blurred on top of the lists
+//   blurIntensity  blur intensity used everywhere, including site profiles
+(function (root) {
+  "use strict";
+
+  const MINUTES_PER_DAY = 24 * 60;
+
+  function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+  }
+
+  function isValidSchedule(schedule) {
+    return (
+      schedule !== null &&
+      typeof schedule === "object" &&
+      Array.isArray(schedule.days) &&
+      parseTime(schedule.start) !== null &&
+      parseTime(schedule.end) !== null
+    );
+  }
+
+  function isScheduleActive(schedule, date = new Date()) {
+    if (!isValidSchedule(schedule) || schedule.enabled === false) return false;
+
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const now = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+
+    // Equal start and end covers the whole day
+    if (start === end) return schedule.days.includes(today);
+    if (start < end) {
+      return schedule.days.includes(today) && now >= start && now < end;
+    }
+    // Overnight: the part after midnight belongs to the previous day
+    return (
+      (schedule.days.includes(today) && now >= start) ||
+      (schedule.days.includes(yesterday) && now < end)
+    );
+  }
+
+  function getActiveSchedules(settings, date = new Date()) {
+    const schedules = Array.isArray(settings?.schedules)
+      ? settings.schedules
+      : [];
+    return schedules.filter((schedule) => isScheduleActive(schedule, date));
+  }
+
+  // Settings with the active schedules applied. Schedule effects are kept
+  // in scheduleBlurAll and scheduleTrustedSites, never written to storage.
+  function applySchedules(settings, date = new Date()) {
+    const active = getActiveSchedules(settings, date);
+    const effective = {
+      ...settings,
+      scheduleBlurAll: false,
+      scheduleTrustedSites: [],
+    };
+
+    active.forEach((schedule) => {
+      if (schedule.blurAll === true) {
+        effective.scheduleBlurAll = true;
+      }
+      if (Array.isArray(schedule.trustedSites)) {
+        effective.scheduleTrustedSites = [
+          ...effective.scheduleTrustedSites,
+          ...schedule.trustedSites,
+        ];
+      }
+      if (schedule.blurIntensity > 0) {
+        effective.blurIntensity = schedule.blurIntensity;
+        effective.siteProfiles = Object.fromEntries(
+          Object.entries(effective.siteProfiles || {}).map(
+            ([rule, profile]) => [
+              rule,
+              { ...profile, blurIntensity: schedule.blurIntensity },
+            ]
+          )
+        );
+      }
+    });
+
+    return effective;
+  }
+
+  // Whether media on a page is blurred, from settings with the active
+  // schedules applied. A forced tab state wins, then the schedules, then the
+  // on switch and the list of the current mode.
+  function isBlurActive(settings, url, tabForceState) {
+    if (tabForceState !== undefined) return tabForceState;
+    if (settings.scheduleBlurAll) return true;
+    if (BlurShieldSiteRules.matchesAny(settings.scheduleTrustedSites, url)) {
+      return false;
+    }
+    if (settings.isEnabled === false) return false;
+
+    return settings.mode === "blocklist"
+      ? BlurShieldSiteRules.matchesAny(settings.blocklist, url)
+      : !BlurShieldSiteRules.matchesAny(settings.whitelist, url);
+  }
+
+  // Next time any schedule starts or ends, or null without schedules.
+  // Checking one day ahead is enough because every boundary repeats daily;
+  // boundaries on days a schedule skips just cause a harmless re-check.
+  function getNextBoundary(settings, date = new Date()) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    let next = null;
+
+    (settings?.schedules || []).forEach((schedule) => {
+      if (!isValidSchedule(schedule) || schedule.enabled === false) return;
+
+      [parseTime(schedule.start), parseTime(schedule.end)].forEach((time) => {
+        const delay = (time - now + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        const minutes = delay === 0 ? MINUTES_PER_DAY : delay;
+        if (next === null || minutes < next) next = minutes;
+      });
+    });
+
+    if (next === null) return null;
+
+    const boundary = new Date(date);
+    boundary.setSeconds(0, 0);
+    boundary.setMinutes(boundary.getMinutes() + next);
+    return boundary;
+  }
+
+  root.BlurShieldSchedules = {
+    parseTime,
+    isValidSchedule,
+    isScheduleActive,
+    getActiveSchedules,
+    applySchedules,
+    isBlurActive,
+    getNextBoundary,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
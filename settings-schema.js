@@ -0,0 +1,406 @@
+// Versioned settings schema shared by the background script, which migrates
+// stored settings on install and update, and the popup, which exports and
+// imports whole configurations. Needs site-rules.js, blur-profiles.js,
+// media-rules.js and schedules.js.
+(function (root) {
+  "use strict";
+
+  // Bump together with a new entry in MIGRATIONS
+  const SCHEMA_VERSION = 1;
+
+  // Identifies exported configuration files
+  const EXPORT_FORMAT = "image-blur-shield-config";
+
+  const DEFAULT_SETTINGS = {
+    settingsVersion: SCHEMA_VERSION,
+    isEnabled: true,
+    blurStyle: "blur", // see BLUR_STYLES in blur-profiles.js
+    blurIntensity: 10,
+    mode: "whitelist", // "whitelist" = blur except listed sites, "blocklist" = blur only listed sites
+    whitelist: [],
+    blocklist: [],
+    mediaTypes: {
+      img: true,
+      video: true,
+      canvas: true,
+      svg: true,
+      background: true,
+    },
+    minMediaSize: 32, // px; media smaller than this in either dimension stays sharp
+    siteProfiles: {}, // site rule -> { blurStyle, blurIntensity, mediaTypes, revealMode }
+    videoAutoPause: false, // pause blurred videos
+    videoMute: false, // mute blurred videos until revealed
+    classifier: "off", // id from classifiers.js, "off" = blur everything
+    classifierThreshold: 0.3, // media scoring below this is unblurred
+    revealSeconds: 10, // how long "Show for a few seconds" reveals media
+    autoReblurSeconds: 0, // blur revealed media again after this long, 0 = never
+    reblurOffscreen: false, // blur revealed media again once scrolled out of view
+    schedules: [], // time-of-day rules, see schedules.js
+  };
+
+  function cleanList(list) {
+    if (!Array.isArray(list)) return [];
+    const cleaned = list
+      .filter((item) => typeof item === "string")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    return [...new Set(cleaned)];
+  }
+
+  // MIGRATIONS[n] upgrades settings from version n to n + 1. Settings stored
+  // before versioning are version 0.
+  const MIGRATIONS = [
+    // 0 -> 1: unversioned settings could hold blank or duplicate domains
+    (settings) => ({
+      ...settings,
+      whitelist: cleanList(settings.whitelist),
+      blocklist: cleanList(settings.blocklist),
+    }),
+  ];
+
+  // Bring stored settings up to the current schema, keeping every value the
+  // user set and filling in defaults for new keys
+  function migrate(stored) {
+    let settings = { ...stored };
+    let version = Number.isInteger(settings.settingsVersion)
+      ? settings.settingsVersion
+      : 0;
+
+    // Settings written by a newer version are left as they are
+    while (version < SCHEMA_VERSION) {
+      settings = MIGRATIONS[version](settings);
+      version++;
+    }
+
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      settingsVersion: Math.max(version, SCHEMA_VERSION),
+    };
+  }
+
+  // Expected shape of every importable setting
+  const FIELDS = {
+    isEnabled: { type: "boolean" },
+    blurStyle: { type: "enum", values: BlurShieldProfiles.BLUR_STYLES },
+    blurIntensity: { type: "integer", min: 1, max: 50 },
+    mode: { type: "enum", values: ["whitelist", "blocklist"] },
+    whitelist: { type: "siteRules" },
+    blocklist: { type: "siteRules" },
+    mediaTypes: { type: "mediaTypes" },
+    minMediaSize: { type: "integer", min: 0, max: 512 },
+    siteProfiles: { type: "siteProfiles" },
+    videoAutoPause: { type: "boolean" },
+    videoMute: { type: "boolean" },
+    classifier: { type: "string" },
+    classifierThreshold: { type: "number", min: 0, max: 1 },
+    revealSeconds: { type: "integer", min: 1, max: 600 },
+    autoReblurSeconds: { type: "integer", min: 0, max: 3600 },
+    reblurOffscreen: { type: "boolean" },
+    schedules: { type: "schedules" },
+  };
+
+  const PROFILE_FIELDS = {
+    blurStyle: FIELDS.blurStyle,
+    blurIntensity: FIELDS.blurIntensity,
+    mediaTypes: FIELDS.mediaTypes,
+    revealMode: { type: "enum", values: BlurShieldProfiles.REVEAL_MODES },
+    minMediaSize: FIELDS.minMediaSize,
+  };
+
+  // i18n.js may load after this file, so look it up on use
+  function t(key, substitutions) {
+    return BlurShieldI18n.getMessage(key, substitutions);
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // Check a value against a field spec. Problems are pushed to errors as
+  // readable messages; invalid values come back as undefined.
+  function validateField(spec, value, name, errors) {
+    switch (spec.type) {
+      case "boolean":
+        if (typeof value === "boolean") return value;
+        break;
+      case "integer":
+      case "number":
+        if (
+          typeof value === "number" &&
+          Number.isFinite(value) &&
+          (spec.type === "number" || Number.isInteger(value)) &&
+          value >= spec.min &&
+          value <= spec.max
+        ) {
+          return value;
+        }
+        break;
+      case "enum":
+        if (spec.values.includes(value)) return value;
+        break;
+      case "string":
+        if (typeof value === "string" && value) return value;
+        break;
+      case "siteRules":
+        if (Array.isArray(value)) {
+          return cleanList(value).filter((rule) => {
+            const valid = BlurShieldSiteRules.parseRule(rule) !== null;
+            if (!valid) errors.push(t("configInvalidRule", [name, rule]));
+            return valid;
+          });
+        }
+        break;
+      case "mediaTypes":
+        if (isPlainObject(value)) {
+          const mediaTypes = {};
+          BlurShieldProfiles.MEDIA_TYPES.forEach((type) => {
+            if (typeof value[type] === "boolean") {
+              mediaTypes[type] = value[type];
+            }
+          });
+          return mediaTypes;
+        }
+        break;
+      case "siteProfiles":
+        if (isPlainObject(value)) {
+          const profiles = {};
+          Object.entries(value).forEach(([rule, profile]) => {
+            if (
+              !BlurShieldSiteRules.parseRule(rule) ||
+              !isPlainObject(profile)
+            ) {
+              errors.push(t("configInvalidProfile", [name, rule]));
+              return;
+            }
+            profiles[rule] = validateObject(
+              PROFILE_FIELDS,
+              profile,
+              `${name} "${rule}"`,
+              errors
+            );
+          });
+          return profiles;
+        }
+        break;
+      case "schedules":
+        if (Array.isArray(value)) {
+          return value.filter((schedule) => {
+            const valid = BlurShieldSchedules.isValidSchedule(schedule);
+            if (!valid) errors.push(t("configInvalidSchedule", name));
+            return valid;
+          });
+        }
+        break;
+    }
+
+    errors.push(t("configInvalidValue", name));
+    return undefined;
+  }
+
+  function validateObject(fields, input, prefix, errors) {
+    const result = {};
+    Object.entries(fields).forEach(([key, spec]) => {
+      if (input[key] === undefined) return;
+      const name = prefix ? `${prefix} ${key}` : key;
+      const value = validateField(spec, input[key], name, errors);
+      if (value !== undefined) result[key] = value;
+    });
+    return result;
+  }
+
+  // Keep only known settings with valid values
+  function validateSettings(input) {
+    const errors = [];
+    const settings = isPlainObject(input)
+      ? validateObject(FIELDS, input, "", errors)
+      : {};
+    return { settings, errors };
+  }
+
+  function exportConfig(settings, blockedMedia) {
+    const exported = {};
+    Object.keys(FIELDS).forEach((key) => {
+      if (settings[key] !== undefined) exported[key] = settings[key];
+    });
+
+    return {
+      format: EXPORT_FORMAT,
+      settingsVersion: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: exported,
+      blockedMedia: blockedMedia || [],
+    };
+  }
+
+  // Parse an exported configuration file. Throws when the file cannot be
+  // used at all; recoverable problems are listed in errors.
+  function parseConfig(text) {
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new Error(t("configInvalidJson"));
+    }
+
+    if (!isPlainObject(config) || config.format !== EXPORT_FORMAT) {
+      throw new Error(t("configWrongFormat"));
+    }
+    if (config.settingsVersion > SCHEMA_VERSION) {
+      throw new Error(t("configTooNew"));
+    }
+    if (!isPlainObject(config.settings)) {
+      throw new Error(t("configNoSettings"));
+    }
+
+    // Older exports go through the same migrations as stored settings
+    const migrated = migrate({
+      ...config.settings,
+      settingsVersion: config.settingsVersion,
+    });
+    const picked = {};
+    Object.keys(config.settings).forEach((key) => {
+      if (key in FIELDS) picked[key] = migrated[key];
+    });
+    const { settings, errors } = validateSettings(picked);
+
+    const blockedMedia = cleanList(config.blockedMedia).filter((rule) => {
+      const valid = BlurShieldMediaRules.isValidMediaRule(rule);
+      if (!valid) {
+        errors.push(t("configInvalidRule", ["blockedMedia", rule]));
+      }
+      return valid;
+    });
+
+    return { settings, blockedMedia, errors };
+  }
+
+  // Combine an imported configuration with the current one. "replace"
+  // starts from the defaults, "merge" keeps current list entries and
+  // profiles and lets imported values win where both exist.
+  function applyConfig(current, imported, strategy) {
+    if (strategy === "replace") {
+      return {
+        settings: { ...DEFAULT_SETTINGS, ...imported.settings },
+        blockedMedia: imported.blockedMedia,
+      };
+    }
+
+    const incoming = imported.settings;
+    const union = (a, b) => [...new Set([...(a || []), ...(b || [])])];
+
+    return {
+      settings: {
+        ...current.settings,
+        ...incoming,
+        settingsVersion: SCHEMA_VERSION,
+        whitelist: union(current.settings.whitelist, incoming.whitelist),
+        blocklist: union(current.settings.blocklist, incoming.blocklist),
+        mediaTypes: { ...current.settings.mediaTypes, ...incoming.mediaTypes },
+        siteProfiles: {
+          ...current.settings.siteProfiles,
+          ...incoming.siteProfiles,
+        },
+      },
+      blockedMedia: union(current.blockedMedia, imported.blockedMedia),
+    };
+  }
+
+  // storage.sync refuses items over 8 KB, which a few hundred site rules
+  // already reach. Settings that grow with use are stored in chunks: the
+  // first under the setting's own key, the rest under "key#1", "key#2", ...
+  const CHUNKED_KEYS = ["whitelist", "blocklist", "siteProfiles", "schedules"];
+  const CHUNK_SEPARATOR = "#";
+  const CHUNK_BYTES = 7000; // stays clear of the limit, which counts the key
+
+  const byteLength = (value) =>
+    new TextEncoder().encode(JSON.stringify(value)).length;
+
+  function isChunkKey(key) {
+    const [base, index] = key.split(CHUNK_SEPARATOR);
+    return CHUNKED_KEYS.includes(base) && /^\d+$/.test(index || "");
+  }
+
+  // Split a list, or an object's entries, into pieces that fit one item
+  function splitValue(value) {
+    const isList = Array.isArray(value);
+    const entries = isList ? value : Object.entries(value || {});
+    const chunks = [[]];
+    let size = 2; // brackets
+
+    entries.forEach((entry) => {
+      // Entry plus its separating comma
+      const entrySize = byteLength(entry) + 1;
+      if (
+        chunks[chunks.length - 1].length > 0 &&
+        size + entrySize > CHUNK_BYTES
+      ) {
+        chunks.push([]);
+        size = 2;
+      }
+      chunks[chunks.length - 1].push(entry);
+      size += entrySize;
+    });
+
+    return isList ? chunks : chunks.map((chunk) => Object.fromEntries(chunk));
+  }
+
+  // Items to write to storage.sync for a full settings object
+  function toSyncItems(settings) {
+    const items = { ...settings };
+    CHUNKED_KEYS.forEach((key) => {
+      if (settings[key] === undefined) return;
+      splitValue(settings[key]).forEach((chunk, index) => {
+        items[index === 0 ? key : key + CHUNK_SEPARATOR + index] = chunk;
+      });
+    });
+    return items;
+  }
+
+  // Settings read back from everything in storage.sync
+  function fromSyncItems(items) {
+    const settings = {};
+    Object.entries(items).forEach(([key, value]) => {
+      if (!isChunkKey(key)) settings[key] = value;
+    });
+
+    CHUNKED_KEYS.forEach((key) => {
+      if (items[key] === undefined) return;
+      const chunks = [items[key]];
+      for (let index = 1; items[key + CHUNK_SEPARATOR + index]; index++) {
+        chunks.push(items[key + CHUNK_SEPARATOR + index]);
+      }
+      settings[key] = Array.isArray(items[key])
+        ? chunks.flat()
+        : Object.assign({}, ...chunks);
+    });
+    return settings;
+  }
+
+  // Settings whose value differs between two copies, so a page only writes
+  // what it changed and keeps changes made elsewhere in the meantime
+  function diffSettings(previous, next) {
+    const changes = {};
+    Object.keys(next).forEach((key) => {
+      if (JSON.stringify(previous?.[key]) !== JSON.stringify(next[key])) {
+        changes[key] = next[key];
+      }
+    });
+    return changes;
+  }
+
+  root.BlurShieldSettings = {
+    SCHEMA_VERSION,
+    DEFAULT_SETTINGS,
+    isPlainObject,
+    isChunkKey,
+    toSyncItems,
+    fromSyncItems,
+    migrate,
+    validateSettings,
+    exportConfig,
+    parseConfig,
+    applyConfig,
+    diffSettings,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);
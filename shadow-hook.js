@@ -0,0 +1,23 @@
+// Runs in the page's main world at document_start. Content scripts live in an
+// isolated world and cannot see attachShadow() calls made by page scripts, so
+// open shadow hosts are tagged with an attribute the content script's
+// MutationObserver watches for.
+(function () {
+  "use strict";
+
+  const originalAttachShadow = Element.prototype.attachShadow;
+  if (!originalAttachShadow) return;
+
+  Element.prototype.attachShadow = function (init) {
+    const root = originalAttachShadow.call(this, init);
+
+    if (init && init.mode === "open") {
+      // Custom element constructors must not add attributes synchronously
+      queueMicrotask(() => {
+        this.setAttribute("data-blur-shield-shadow", "");
+      });
+    }
+
+    return root;
+  };
+})();
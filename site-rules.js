@@ -0,0 +1,212 @@
+// Shared site-rule engine used by the content script and the popup.
+// Rules are stored as plain strings so existing lists keep working:
+//   "example.com"          exact host, with or without "www."
+//   "*.example.com"        example.com and any of its subdomains
+//   "reddit.com/r/aww"     host (with or without "www.") + URL path prefix
+//   "localhost:3000"       a host rule with a port matches only that port
+//   "/^https:\/\/.*\.gov/" regular expression tested against the full URL
+(function (root) {
+  "use strict";
+
+  const RULE_TYPES = ["exact", "wildcard", "path", "regex"];
+
+  // Compiled rules are cached by their raw string
+  const ruleCache = new Map();
+
+  function parseRule(raw) {
+    if (typeof raw !== "string") return null;
+    const value = raw.trim();
+    if (!value) return null;
+
+    if (ruleCache.has(value)) return ruleCache.get(value);
+
+    let rule = null;
+
+    if (
+      value.length > 2 &&
+      value.startsWith("/") &&
+      value.lastIndexOf("/") > 0
+    ) {
+      const lastSlash = value.lastIndexOf("/");
+      const source = value.slice(1, lastSlash);
+      const flags = value.slice(lastSlash + 1);
+      try {
+        rule = { type: "regex", raw: value, regex: new RegExp(source, flags) };
+      } catch (error) {
+        rule = null;
+      }
+    } else {
+      const lower = value.toLowerCase().replace(/^[a-z]+:\/\//, "");
+      const slashIndex = lower.indexOf("/");
+      const hostPart = slashIndex === -1 ? lower : lower.slice(0, slashIndex);
+      const pathPart = slashIndex === -1 ? "" : lower.slice(slashIndex);
+
+      if (hostPart.startsWith("*.")) {
+        rule = {
+          type: "wildcard",
+          raw: value,
+          host: hostPart.slice(2),
+          path: normalizePath(pathPart),
+        };
+      } else if (pathPart && pathPart !== "/") {
+        rule = {
+          type: "path",
+          raw: value,
+          host: hostPart,
+          path: normalizePath(pathPart),
+        };
+      } else if (hostPart) {
+        rule = { type: "exact", raw: value, host: hostPart, path: "" };
+      }
+    }
+
+    ruleCache.set(value, rule);
+    return rule;
+  }
+
+  function normalizePath(path) {
+    if (!path || path === "/") return "";
+    return path.endsWith("/") ? path.slice(0, -1) : path;
+  }
+
+  // Host of a URL to compare a rule with: with the port if the rule has one
+  function getRuleHost(rule, url) {
+    return (/:\d+$/.test(rule.host) ? url.host : url.hostname).toLowerCase();
+  }
+
+  function hostMatches(rule, hostname) {
+    if (rule.type === "wildcard") {
+      return hostname === rule.host || hostname.endsWith("." + rule.host);
+    }
+    // "www." is the same site to most users, so exact and path rules
+    // cover it as lists always have
+    return hostname === rule.host || hostname === "www." + rule.host;
+  }
+
+  function pathMatches(rule, pathname) {
+    if (!rule.path) return true;
+    const path = pathname.toLowerCase();
+    // Match on segment boundaries so "/r/aww" does not match "/r/awwards"
+    return path === rule.path || path.startsWith(rule.path + "/");
+  }
+
+  function toURL(url) {
+    if (url instanceof URL) return url;
+    try {
+      return new URL(url);
+    } catch (error) {
+      // Allow bare hostnames
+      try {
+        return new URL("https://" + url);
+      } catch (innerError) {
+        return null;
+      }
+    }
+  }
+
+  function ruleMatches(raw, url) {
+    const rule = parseRule(raw);
+    const parsed = toURL(url);
+    if (!rule || !parsed) return false;
+
+    if (rule.type === "regex") {
+      rule.regex.lastIndex = 0;
+      return rule.regex.test(parsed.href);
+    }
+
+    return (
+      hostMatches(rule, getRuleHost(rule, parsed)) &&
+      pathMatches(rule, parsed.pathname)
+    );
+  }
+
+  function findMatchingRule(rules, url) {
+    if (!Array.isArray(rules)) return null;
+    return rules.find((raw) => ruleMatches(raw, url)) || null;
+  }
+
+  function matchesAny(rules, url) {
+    return findMatchingRule(rules, url) !== null;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+  }
+
+  // Build a normalized rule string of the given type from user input.
+  // Returns null when the input cannot form a valid rule.
+  function createRule(type, input) {
+    const value = (input || "").trim();
+    if (!value) return null;
+
+    let raw;
+    switch (type) {
+      case "wildcard": {
+        const host = value
+          .toLowerCase()
+          .replace(/^[a-z]+:\/\//, "")
+          .split("/")[0]
+          .replace(/^\*\./, "")
+          .replace(/^www\./, "");
+        raw = host ? "*." + host : null;
+        break;
+      }
+      case "path":
+        raw = value
+          .toLowerCase()
+          .replace(/^[a-z]+:\/\//, "")
+          .replace(/[?#].*$/, "");
+        break;
+      case "regex":
+        raw =
+          value.startsWith("/") && value.lastIndexOf("/") > 0
+            ? value
+            : "/" + value + "/";
+        break;
+      default:
+        raw = value
+          .toLowerCase()
+          .replace(/^[a-z]+:\/\//, "")
+          .split("/")[0];
+    }
+
+    const rule = raw ? parseRule(raw) : null;
+    return rule ? rule.raw : null;
+  }
+
+  // Build a rule of the given type that matches the given page URL
+  function createRuleForUrl(type, url) {
+    const parsed = toURL(url);
+    if (!parsed || !parsed.hostname) return null;
+
+    switch (type) {
+      case "wildcard":
+        return createRule("wildcard", parsed.hostname);
+      case "path":
+        return createRule("path", parsed.hostname + parsed.pathname);
+      case "regex":
+        return createRule(
+          "regex",
+          "^https?:\\/\\/" + escapeRegExp(parsed.hostname) + "(?:[:\\/?#]|$)"
+        );
+      default:
+        return createRule("exact", parsed.hostname);
+    }
+  }
+
+  function getRuleType(raw) {
+    const rule = parseRule(raw);
+    return rule ? rule.type : null;
+  }
+
+  root.BlurShieldSiteRules = {
+    RULE_TYPES,
+    parseRule,
+    ruleMatches,
+    findMatchingRule,
+    matchesAny,
+    createRule,
+    createRuleForUrl,
+    getRuleType,
+  };
+})(typeof globalThis !== "undefined" ? globalThis : self);